@@ -0,0 +1,169 @@
+/**
+ * Collision query benchmark: the collision grid against per-pixel checks on a 4096x4096 map
+ *
+ * Run with: node benchmarks/collision.mjs [entities] [frames]
+ */
+import { Engine, Scene } from '../engine/index.js';
+
+const MAP_SIZE = 4096;
+const ENTITIES = Number(process.argv[2]) || 300;
+const FRAMES = Number(process.argv[3]) || 60;
+
+// Deterministic pseudo-random numbers so runs are comparable
+let seed = 12345;
+function random() {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+}
+
+/**
+ * A 4096x4096 collision map of walled rooms with scattered pillars (about 10% solid)
+ */
+function buildScene() {
+    const engine = new Engine({ headless: true });
+    const scene = new Scene();
+    engine.addScene('benchmark', scene);
+
+    const data = new Uint8Array(MAP_SIZE * MAP_SIZE);
+    const fill = (left, top, width, height) => {
+        for (let y = top; y < Math.min(MAP_SIZE, top + height); y++) {
+            data.fill(1, y * MAP_SIZE + left, y * MAP_SIZE + Math.min(MAP_SIZE, left + width));
+        }
+    };
+
+    // Room walls every 512 pixels with doorways
+    for (let offset = 0; offset < MAP_SIZE; offset += 512) {
+        fill(0, offset, MAP_SIZE, 8);
+        fill(offset, 0, 8, MAP_SIZE);
+        for (let door = 200; door < MAP_SIZE; door += 512) {
+            data.fill(0, offset * MAP_SIZE + door, offset * MAP_SIZE + door + 64);
+        }
+    }
+    for (let i = 0; i < 2000; i++) {
+        fill(Math.floor(random() * MAP_SIZE), Math.floor(random() * MAP_SIZE), 24, 24);
+    }
+
+    scene.collisionData = data;
+    scene.mapWidth = MAP_SIZE;
+    scene.mapHeight = MAP_SIZE;
+    return scene;
+}
+
+// The per-pixel queries the grid replaces
+const legacy = {
+    rect(scene, x, y, width, height) {
+        for (let i = x; i < x + width; i++) {
+            if (scene.checkCollision(i, y) || scene.checkCollision(i, y + height - 1)) return true;
+        }
+        for (let i = y; i < y + height; i++) {
+            if (scene.checkCollision(x, i) || scene.checkCollision(x + width - 1, i)) return true;
+        }
+        return false;
+    },
+
+    circle(scene, cx, cy, radius) {
+        for (let y = Math.floor(cy - radius); y <= cy + radius; y++) {
+            for (let x = Math.floor(cx - radius); x <= cx + radius; x++) {
+                if (Math.hypot(x + 0.5 - cx, y + 0.5 - cy) <= radius && scene.checkCollision(x, y)) return true;
+            }
+        }
+        return false;
+    },
+
+    line(scene, x0, y0, x1, y1) {
+        const steps = Math.ceil(Math.hypot(x1 - x0, y1 - y0));
+        for (let i = 0; i <= steps; i++) {
+            const t = steps === 0 ? 0 : i / steps;
+            if (scene.checkCollision(x0 + (x1 - x0) * t, y0 + (y1 - y0) * t)) return true;
+        }
+        return false;
+    },
+
+    area(scene, x, y, width, height) {
+        const pixels = [];
+        for (let py = Math.max(0, y); py <= Math.min(MAP_SIZE - 1, y + height); py++) {
+            for (let px = Math.max(0, x); px <= Math.min(MAP_SIZE - 1, x + width); px++) {
+                if (scene.checkCollision(px, py)) pixels.push({ x: px, y: py });
+            }
+        }
+        return pixels.length;
+    }
+};
+
+/**
+ * Time a query over every entity for every frame
+ * @returns {{ms: number, hits: number}}
+ */
+function measure(entities, query) {
+    let hits = 0;
+    const start = performance.now();
+    for (let frame = 0; frame < FRAMES; frame++) {
+        for (const entity of entities) {
+            if (query(entity, frame)) hits++;
+        }
+    }
+    return { ms: performance.now() - start, hits };
+}
+
+const scene = buildScene();
+const buildStart = performance.now();
+scene.buildCollisionGrid();
+const buildMs = performance.now() - buildStart;
+
+// Entities stand in open space, like actors that collide with walls
+const entities = [];
+while (entities.length < ENTITIES) {
+    const x = 64 + Math.floor(random() * (MAP_SIZE - 128));
+    const y = 64 + Math.floor(random() * (MAP_SIZE - 128));
+    if (!legacy.rect(scene, x - 16, y - 16, 64, 64)) {
+        entities.push({ x, y, angle: random() * Math.PI * 2 });
+    }
+}
+
+// Entities drift a little each frame, like moving actors
+const at = (entity, frame) => ({ x: entity.x + frame, y: entity.y + (frame >> 1) });
+
+const cases = [
+    ['rect 32x32', (e, f) => { const { x, y } = at(e, f); return legacy.rect(scene, x - 16, y - 16, 32, 32); },
+        (e, f) => { const { x, y } = at(e, f); return scene.checkRectCollision(x - 16, y - 16, 32, 32); }],
+    ['circle r=24', (e, f) => { const { x, y } = at(e, f); return legacy.circle(scene, x, y, 24); },
+        (e, f) => { const { x, y } = at(e, f); return scene.checkCircleCollision(x, y, 24); }],
+    ['line 600px', (e, f) => { const { x, y } = at(e, f); return legacy.line(scene, x, y, x + Math.cos(e.angle) * 600, y + Math.sin(e.angle) * 600); },
+        (e, f) => { const { x, y } = at(e, f); return scene.checkLineCollision(x, y, x + Math.cos(e.angle) * 600, y + Math.sin(e.angle) * 600) !== null; }]
+];
+
+console.log(`Collision map ${MAP_SIZE}x${MAP_SIZE}, ${ENTITIES} entities, ${FRAMES} frames`);
+console.log(`Grid build: ${buildMs.toFixed(1)} ms (${(scene.collisionGrid.bits.byteLength / 1048576).toFixed(1)} MB of bits)\n`);
+console.log('query          per-pixel ms    grid ms   speedup   hits');
+
+for (const [name, legacyQuery, gridQuery] of cases) {
+    // Run both once untimed so the JIT has optimized them (a few calls leave compilation in the timing)
+    measure(entities, legacyQuery);
+    measure(entities, gridQuery);
+
+    const before = measure(entities, legacyQuery);
+    const after = measure(entities, gridQuery);
+    console.log(
+        `${name.padEnd(14)} ${before.ms.toFixed(1).padStart(12)} ${after.ms.toFixed(1).padStart(10)} ` +
+        `${(before.ms / after.ms).toFixed(1).padStart(8)}x   ${after.hits}/${before.hits}`
+    );
+}
+
+// Area scans: 100 regions of 256x256
+const regions = Array.from({ length: 100 }, () => ({
+    x: Math.floor(random() * (MAP_SIZE - 256)),
+    y: Math.floor(random() * (MAP_SIZE - 256))
+}));
+let start = performance.now();
+const legacyCount = regions.reduce((sum, { x, y }) => sum + legacy.area(scene, x, y, 256, 256), 0);
+const legacyAreaMs = performance.now() - start;
+start = performance.now();
+let gridCount = 0;
+for (const { x, y } of regions) {
+    scene.forEachCollisionPixel(x, y, 256, 256, () => gridCount++);
+}
+const gridAreaMs = performance.now() - start;
+console.log(
+    `${'area 256x256'.padEnd(14)} ${legacyAreaMs.toFixed(1).padStart(12)} ${gridAreaMs.toFixed(1).padStart(10)} ` +
+    `${(legacyAreaMs / gridAreaMs).toFixed(1).padStart(8)}x   ${gridCount}/${legacyCount} pixels`
+);
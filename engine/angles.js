@@ -0,0 +1,73 @@
+/**
+ * Angle helpers. All engine rotations are in radians, clockwise on screen
+ * (positive Y points down), matching Math.atan2 and the canvas API.
+ */
+
+export const TAU = Math.PI * 2;
+
+/**
+ * Convert degrees to radians
+ * @param {number} degrees
+ * @returns {number}
+ */
+export function degreesToRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+/**
+ * Convert radians to degrees
+ * @param {number} radians
+ * @returns {number}
+ */
+export function radiansToDegrees(radians) {
+    return radians * 180 / Math.PI;
+}
+
+/**
+ * Wrap an angle into the range (-PI, PI]
+ * @param {number} angle - Angle in radians
+ * @returns {number}
+ */
+export function normalizeAngle(angle) {
+    angle %= TAU;
+    if (angle <= -Math.PI) angle += TAU;
+    if (angle > Math.PI) angle -= TAU;
+    return angle;
+}
+
+/**
+ * Get the shortest signed rotation from one angle to another
+ * @param {number} from - Angle in radians
+ * @param {number} to - Angle in radians
+ * @returns {number} Difference in radians, in (-PI, PI]
+ */
+export function angleDifference(from, to) {
+    return normalizeAngle(to - from);
+}
+
+/**
+ * Get the angle of the line from one point to another
+ * @param {number} fromX
+ * @param {number} fromY
+ * @param {number} toX
+ * @param {number} toY
+ * @returns {number} Angle in radians
+ */
+export function angleBetween(fromX, fromY, toX, toY) {
+    return Math.atan2(toY - fromY, toX - fromX);
+}
+
+/**
+ * Turn an angle towards a target by at most maxStep, along the shortest path
+ * @param {number} current - Current angle in radians
+ * @param {number} target - Target angle in radians
+ * @param {number} maxStep - Largest allowed change in radians
+ * @returns {number} New angle in radians
+ */
+export function rotateTowards(current, target, maxStep) {
+    const difference = angleDifference(current, target);
+    if (Math.abs(difference) <= maxStep) {
+        return current + difference;
+    }
+    return current + Math.sign(difference) * maxStep;
+}
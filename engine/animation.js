@@ -0,0 +1,413 @@
+/**
+ * Sprite sheet slicing, frame-based animation clips and animation state machines
+ */
+
+/**
+ * A texture cut into frames, from a regular grid or a JSON atlas
+ */
+export class SpriteSheet {
+    /**
+     * @param {HTMLImageElement|HTMLCanvasElement} image - Texture containing every frame
+     * @param {Array<Object>} frames - Frame rectangles ({ x, y, width, height } plus optional
+     *     name, duration in seconds, and trim info offsetX, offsetY, sourceWidth, sourceHeight)
+     * @param {Object} clips - Animation options by name (e.g. from Aseprite frame tags)
+     */
+    constructor(image, frames = [], clips = {}) {
+        this.image = image;
+        this.frames = frames.map((frame, index) => ({
+            name: frame.name ?? String(index),
+            x: frame.x,
+            y: frame.y,
+            width: frame.width,
+            height: frame.height,
+            duration: frame.duration ?? null,
+            offsetX: frame.offsetX ?? 0,
+            offsetY: frame.offsetY ?? 0,
+            sourceWidth: frame.sourceWidth ?? frame.width,
+            sourceHeight: frame.sourceHeight ?? frame.height
+        }));
+        this.clips = clips;
+
+        // Frame name -> index
+        this.frameIndex = new Map(this.frames.map((frame, index) => [frame.name, index]));
+    }
+
+    /**
+     * Slice an image into equally sized frames, left to right, top to bottom
+     * @param {HTMLImageElement|HTMLCanvasElement} image
+     * @param {Object} options - frameWidth, frameHeight, and optional margin, spacing, count
+     * @returns {SpriteSheet}
+     */
+    static fromGrid(image, options) {
+        const { frameWidth, frameHeight, margin = 0, spacing = 0 } = options;
+        if (!(frameWidth > 0) || !(frameHeight > 0)) {
+            throw new Error('SpriteSheet.fromGrid needs a positive frameWidth and frameHeight');
+        }
+
+        const columns = Math.floor((image.width - margin * 2 + spacing) / (frameWidth + spacing));
+        const rows = Math.floor((image.height - margin * 2 + spacing) / (frameHeight + spacing));
+        const count = Math.min(options.count ?? columns * rows, columns * rows);
+
+        const frames = [];
+        for (let i = 0; i < count; i++) {
+            const column = i % columns;
+            const row = Math.floor(i / columns);
+            frames.push({
+                x: margin + column * (frameWidth + spacing),
+                y: margin + row * (frameHeight + spacing),
+                width: frameWidth,
+                height: frameHeight
+            });
+        }
+
+        return new SpriteSheet(image, frames);
+    }
+
+    /**
+     * Build a sheet from a JSON atlas exported by Aseprite or TexturePacker
+     * (hash or array frame layouts). Aseprite frame tags become clips.
+     * @param {HTMLImageElement|HTMLCanvasElement} image
+     * @param {Object} atlas - Parsed atlas JSON
+     * @returns {SpriteSheet}
+     */
+    static fromAtlas(image, atlas) {
+        if (!atlas || !atlas.frames) {
+            throw new Error('Sprite atlas has no "frames" field');
+        }
+
+        const entries = Array.isArray(atlas.frames)
+            ? atlas.frames.map(entry => [entry.filename, entry])
+            : Object.entries(atlas.frames);
+
+        const frames = entries.map(([name, entry]) => {
+            if (entry.rotated) {
+                console.warn(`Sprite atlas frame "${name}" is rotated, which is not supported`);
+            }
+            return {
+                name,
+                x: entry.frame.x,
+                y: entry.frame.y,
+                width: entry.frame.w,
+                height: entry.frame.h,
+                // Aseprite stores durations in milliseconds
+                duration: typeof entry.duration === 'number' ? entry.duration / 1000 : null,
+                offsetX: entry.trimmed ? entry.spriteSourceSize.x : 0,
+                offsetY: entry.trimmed ? entry.spriteSourceSize.y : 0,
+                sourceWidth: entry.sourceSize?.w ?? entry.frame.w,
+                sourceHeight: entry.sourceSize?.h ?? entry.frame.h
+            };
+        });
+
+        // Aseprite frame tags: { name, from, to, direction }
+        const clips = {};
+        for (const tag of atlas.meta?.frameTags || []) {
+            let indices = [];
+            for (let i = tag.from; i <= tag.to; i++) {
+                indices.push(i);
+            }
+
+            const direction = tag.direction || 'forward';
+            if (direction === 'reverse' || direction === 'pingpong_reverse') {
+                indices = indices.reverse();
+            }
+
+            clips[tag.name] = {
+                frames: indices,
+                mode: direction.startsWith('pingpong') ? 'pingpong' : 'loop'
+            };
+        }
+
+        return new SpriteSheet(image, frames, clips);
+    }
+
+    /**
+     * Load an image and slice it
+     * @param {string} imagePath - Path to the sheet image
+     * @param {Object|string} layout - Grid options, a parsed atlas, or a path to atlas JSON
+     * @param {AssetManager} assets - Asset manager to load through
+     * @returns {Promise<SpriteSheet>}
+     * @throws {AssetError} If the image or atlas can't be loaded
+     */
+    static async load(imagePath, layout, assets) {
+        const image = await assets.loadImage(imagePath);
+
+        if (typeof layout === 'string') {
+            layout = await assets.loadJSON(layout);
+        }
+
+        return layout.frames ? SpriteSheet.fromAtlas(image, layout) : SpriteSheet.fromGrid(image, layout);
+    }
+
+    /**
+     * Get a frame by index or name
+     * @param {number|string} frame
+     * @returns {Object|null}
+     */
+    getFrame(frame) {
+        const index = typeof frame === 'number' ? frame : this.frameIndex.get(frame);
+        return this.frames[index] || null;
+    }
+
+    /**
+     * Get indices of frames whose names start with a prefix (e.g. 'run_' from TexturePacker)
+     * @param {string} prefix
+     * @returns {Array<number>}
+     */
+    findFrames(prefix) {
+        const indices = [];
+        this.frames.forEach((frame, index) => {
+            if (frame.name.startsWith(prefix)) indices.push(index);
+        });
+        return indices;
+    }
+}
+
+/**
+ * A named sequence of sprite sheet frames
+ */
+export class Animation {
+    /**
+     * @param {Object} options
+     * @param {Array<number|string>} options.frames - Sheet frame indices or names, in play order
+     * @param {number} options.frameRate - Frames per second when no per-frame durations are given
+     * @param {Array<number>} options.durations - Per-frame durations in seconds
+     * @param {string} options.mode - 'loop', 'pingpong' or 'once'
+     * @param {boolean} options.loop - Shorthand: false means mode 'once'
+     * @param {Object} options.events - Frame position -> event name, emitted when the frame shows
+     */
+    constructor(options = {}) {
+        if (!Array.isArray(options.frames) || options.frames.length === 0) {
+            throw new Error('An animation needs at least one frame');
+        }
+
+        this.name = options.name || null;
+        this.frames = options.frames;
+        this.frameRate = options.frameRate || null;
+        this.durations = options.durations || null;
+        this.mode = options.mode || (options.loop === false ? 'once' : 'loop');
+        this.events = options.events || {};
+
+        if (!['loop', 'pingpong', 'once'].includes(this.mode)) {
+            throw new Error(`Unknown animation mode: ${this.mode}`);
+        }
+    }
+
+    /**
+     * Get how long a frame of this clip stays on screen
+     * @param {number} position - Position within the clip
+     * @param {SpriteSheet} sheet - Sheet supplying per-frame durations (Aseprite)
+     * @returns {number} Seconds
+     */
+    getFrameDuration(position, sheet) {
+        if (this.durations?.[position] !== undefined) return this.durations[position];
+        if (this.frameRate) return 1 / this.frameRate;
+        return sheet?.getFrame(this.frames[position])?.duration ?? 1 / 12;
+    }
+
+    /**
+     * Get the length of one play through the clip
+     * @param {SpriteSheet} sheet - Sheet supplying per-frame durations (Aseprite)
+     * @returns {number} Seconds
+     */
+    getDuration(sheet) {
+        let total = 0;
+        for (let i = 0; i < this.frames.length; i++) {
+            total += this.getFrameDuration(i, sheet);
+        }
+        return total;
+    }
+}
+
+/**
+ * State machine that picks an entity's animation clip from states and guarded transitions
+ */
+export class AnimationStateMachine {
+    /**
+     * @param {Entity} entity - Entity whose animations are driven
+     */
+    constructor(entity) {
+        this.entity = entity;
+        this.states = new Map();      // State name -> { name, animation, speed, onEnter, onExit }
+        this.transitions = [];        // { from, to, condition, priority, exitTime, order }
+        this.parameters = {};         // Values read by object conditions
+        this.triggers = new Set();    // Parameters reset once a transition consumes them
+        this.defaultState = null;
+        this.currentState = null;
+        this.previousState = null;
+        this.stateTime = 0;           // Seconds spent in the current state
+    }
+
+    /**
+     * Declare a state (the first state declared is entered automatically)
+     * @param {string} name - State name
+     * @param {Object} options - animation (clip name, defaults to the state name), speed, onEnter, onExit
+     * @returns {Object} The state
+     */
+    addState(name, options = {}) {
+        const state = {
+            name,
+            animation: options.animation || name,
+            speed: options.speed ?? 1,
+            onEnter: options.onEnter || null,
+            onExit: options.onExit || null
+        };
+        this.states.set(name, state);
+
+        if (!this.defaultState) {
+            this.defaultState = name;
+        }
+        return state;
+    }
+
+    /**
+     * Declare a transition between states
+     * @param {string} from - Source state, or '*' for any state
+     * @param {string} to - Target state
+     * @param {Function|Object} condition - Predicate (entity, machine) => boolean, or parameter
+     *     values that must all match, e.g. { grounded: true }. Omit to transition unconditionally.
+     * @param {Object} options - priority (higher wins), exitTime (fraction of the clip that must
+     *     have played first, 1 = finished)
+     * @returns {Object} The transition
+     */
+    addTransition(from, to, condition = null, options = {}) {
+        for (const name of [from, to]) {
+            if (name !== '*' && !this.states.has(name)) {
+                this.addState(name);
+            }
+        }
+
+        const transition = {
+            from,
+            to,
+            condition,
+            priority: options.priority || 0,
+            exitTime: options.exitTime ?? null,
+            order: this.transitions.length
+        };
+        this.transitions.push(transition);
+        return transition;
+    }
+
+    /**
+     * Set a parameter read by object conditions
+     * @param {string} name 
+     * @param {any} value 
+     */
+    setParameter(name, value) {
+        this.parameters[name] = value;
+    }
+
+    /**
+     * Get a parameter value
+     * @param {string} name 
+     * @returns {any}
+     */
+    getParameter(name) {
+        return this.parameters[name];
+    }
+
+    /**
+     * Set a boolean parameter that resets after a transition uses it
+     * @param {string} name 
+     */
+    trigger(name) {
+        this.parameters[name] = true;
+        this.triggers.add(name);
+    }
+
+    /**
+     * Switch to a state immediately
+     * @param {string} name - State name
+     */
+    setState(name) {
+        const state = this.states.get(name);
+        if (!state) {
+            console.warn(`Animation state ${name} does not exist`);
+            return;
+        }
+
+        const previous = this.states.get(this.currentState);
+        if (previous?.onExit) previous.onExit(this.entity, name);
+
+        this.previousState = this.currentState;
+        this.currentState = name;
+        this.stateTime = 0;
+
+        this.entity.playAnimation(state.animation, { restart: true, speed: state.speed });
+        if (state.onEnter) state.onEnter(this.entity, this.previousState);
+    }
+
+    /**
+     * Get how far the current state's clip has played, where 1 is one full play
+     * @returns {number}
+     */
+    getNormalizedTime() {
+        const entity = this.entity;
+        if (entity.animationFinished) return Math.max(1, this.stateTime);
+
+        const duration = entity.currentAnimation?.getDuration(entity.spriteSheet);
+        return duration > 0 ? (this.stateTime * entity.animationSpeed) / duration : 0;
+    }
+
+    /**
+     * Evaluate transitions and switch states
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    update(deltaTime) {
+        if (!this.currentState) {
+            if (this.defaultState) this.setState(this.defaultState);
+            return;
+        }
+
+        this.stateTime += deltaTime;
+
+        // Highest priority first; any-state transitions win ties, then declaration order
+        const candidates = this.transitions
+            .filter(transition => transition.from === this.currentState ||
+                (transition.from === '*' && transition.to !== this.currentState))
+            .sort((a, b) => b.priority - a.priority ||
+                (a.from === '*' ? -1 : 0) - (b.from === '*' ? -1 : 0) ||
+                a.order - b.order);
+
+        for (const transition of candidates) {
+            if (this.canTransition(transition)) {
+                this.consumeTriggers(transition);
+                this.setState(transition.to);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Check a transition's exit time and condition
+     * @param {Object} transition 
+     * @returns {boolean}
+     * @private
+     */
+    canTransition(transition) {
+        if (transition.exitTime !== null && this.getNormalizedTime() < transition.exitTime) {
+            return false;
+        }
+
+        const condition = transition.condition;
+        if (!condition) return true;
+        if (typeof condition === 'function') return Boolean(condition(this.entity, this));
+
+        return Object.entries(condition).every(([name, value]) => this.parameters[name] === value);
+    }
+
+    /**
+     * Reset trigger parameters a transition's condition relied on
+     * @param {Object} transition 
+     * @private
+     */
+    consumeTriggers(transition) {
+        if (!transition.condition || typeof transition.condition === 'function') return;
+
+        for (const name of Object.keys(transition.condition)) {
+            if (this.triggers.delete(name)) {
+                this.parameters[name] = false;
+            }
+        }
+    }
+}
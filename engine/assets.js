@@ -0,0 +1,454 @@
+/**
+ * Central asset loading: images, JSON, text and audio by key, cached and reference counted
+ */
+
+/**
+ * Raised when an asset fails to load or is used before it has loaded
+ */
+export class AssetError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} details - key, url, type, cause (underlying error), failures (manifest loads)
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'AssetError';
+        this.key = details.key ?? null;
+        this.url = details.url ?? null;
+        this.type = details.type ?? null;
+        this.cause = details.cause ?? null;
+        this.failures = details.failures ?? [];
+    }
+}
+
+/**
+ * Loads assets once per key (or URL) and shares them between everything that asks
+ */
+export class AssetManager {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseUrl Prefix for relative URLs
+     */
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || '';
+
+        // Key -> { key, url, type, status, data, error, promise, refCount, keys }
+        // Aliases of the same URL share one entry
+        this.assets = new Map();
+
+        // Type -> async (url, manager) => data
+        this.loaders = new Map();
+        this.registerLoader('image', url => this.fetchImage(url));
+        this.registerLoader('json', url => this.fetchJSON(url));
+        this.registerLoader('text', url => this.fetchText(url));
+        this.registerLoader('audio', url => this.fetchArrayBuffer(url));
+    }
+
+    /**
+     * Add or replace the loader for an asset type
+     * @param {string} type - Asset type, e.g. 'image' or 'tilemap'
+     * @param {Function} loader - async (url, manager) => data
+     */
+    registerLoader(type, loader) {
+        this.loaders.set(type, loader);
+    }
+
+    /**
+     * Guess an asset type from a URL's extension
+     * @param {string} url
+     * @returns {string}
+     */
+    static getTypeFromUrl(url) {
+        const extension = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+        return AssetManager.extensionTypes[extension] || 'text';
+    }
+
+    /**
+     * Load an asset, or share the one already loaded (or loading) under this key or URL.
+     * Each call adds a reference; pair it with release().
+     * @param {string} key - Name to look the asset up by
+     * @param {string} url - Asset URL (defaults to the key)
+     * @param {Object} options - type (inferred from the extension by default)
+     * @returns {Promise<any>} The asset data
+     */
+    load(key, url = key, options = {}) {
+        const type = options.type || AssetManager.getTypeFromUrl(url);
+        const fullUrl = this.resolveUrl(url);
+
+        let entry = this.assets.get(key);
+        if (entry && (entry.url !== fullUrl || entry.type !== type)) {
+            return Promise.reject(new AssetError(
+                `Asset key "${key}" is already used for ${entry.type} ${entry.url}, cannot load ${type} ${fullUrl}`,
+                { key, url: fullUrl, type }
+            ));
+        }
+
+        // Same file under another key: share it
+        if (!entry) {
+            entry = this.findByUrl(fullUrl, type);
+            if (entry) {
+                entry.keys.add(key);
+                this.assets.set(key, entry);
+            }
+        }
+
+        if (!entry) {
+            entry = this.createEntry(key, fullUrl, type);
+        }
+
+        entry.refCount++;
+        return entry.promise;
+    }
+
+    /**
+     * Load an image
+     * @param {string} key
+     * @param {string} url - Defaults to the key
+     * @returns {Promise<HTMLImageElement>}
+     */
+    loadImage(key, url = key) {
+        return this.load(key, url, { type: 'image' });
+    }
+
+    /**
+     * Load and parse a JSON file
+     * @param {string} key
+     * @param {string} url - Defaults to the key
+     * @returns {Promise<any>}
+     */
+    loadJSON(key, url = key) {
+        return this.load(key, url, { type: 'json' });
+    }
+
+    /**
+     * Load a text file
+     * @param {string} key
+     * @param {string} url - Defaults to the key
+     * @returns {Promise<string>}
+     */
+    loadText(key, url = key) {
+        return this.load(key, url, { type: 'text' });
+    }
+
+    /**
+     * Load an audio file (decoded to an AudioBuffer by the engine's AudioManager)
+     * @param {string} key
+     * @param {string} url - Defaults to the key
+     * @returns {Promise<AudioBuffer|ArrayBuffer|null>}
+     */
+    loadAudio(key, url = key) {
+        return this.load(key, url, { type: 'audio' });
+    }
+
+    /**
+     * Load every asset listed in a manifest, in parallel
+     * @param {Object|Array|string} manifest - Manifest object, list of entries, or URL of a JSON manifest.
+     *     Entries are { key, url, type } (url defaults to key, type to the extension), or a
+     *     { key: url } object. A manifest object may set baseUrl for its entries.
+     * @param {Object} options - onProgress({ loaded, failed, total, progress, key }) called after each asset
+     * @returns {Promise<Object>} Key -> data; rejects with an AssetError listing every failure,
+     *     after releasing the assets that did load
+     */
+    async loadManifest(manifest, options = {}) {
+        const entries = await this.resolveManifest(manifest);
+        const total = entries.length;
+        const results = {};
+        const failures = [];
+        let loaded = 0;
+
+        const report = key => {
+            if (!options.onProgress) return;
+            try {
+                options.onProgress({
+                    loaded,
+                    failed: failures.length,
+                    total,
+                    progress: total === 0 ? 1 : (loaded + failures.length) / total,
+                    key
+                });
+            } catch (error) {
+                console.error('Error in manifest onProgress:', error);
+            }
+        };
+
+        report(null);
+        await Promise.all(entries.map(async ({ key, url, type }) => {
+            try {
+                results[key] = await this.load(key, url, { type });
+                loaded++;
+            } catch (error) {
+                failures.push(error);
+            }
+            report(key);
+        }));
+
+        if (failures.length > 0) {
+            for (const key of Object.keys(results)) {
+                this.release(key);
+            }
+            const list = failures.map(failure => `  ${failure.message}`).join('\n');
+            throw new AssetError(`${failures.length} of ${total} assets failed to load:\n${list}`, { failures });
+        }
+        return results;
+    }
+
+    /**
+     * Release one reference to every asset in a manifest
+     * @param {Object|Array|string} manifest - Same value passed to loadManifest
+     */
+    async releaseManifest(manifest) {
+        for (const { key } of await this.resolveManifest(manifest)) {
+            this.release(key);
+        }
+    }
+
+    /**
+     * Normalize a manifest into a list of { key, url, type }
+     * @param {Object|Array|string} manifest
+     * @returns {Promise<Array<{key: string, url: string, type: string}>>}
+     * @private
+     */
+    async resolveManifest(manifest) {
+        let baseUrl = '';
+        if (typeof manifest === 'string') {
+            const url = this.resolveUrl(manifest);
+            baseUrl = manifest.includes('/') ? manifest.slice(0, manifest.lastIndexOf('/') + 1) : '';
+            try {
+                manifest = await this.fetchJSON(url);
+            } catch (cause) {
+                throw new AssetError(`Failed to load asset manifest ${url}: ${cause.message}`, { url, type: 'json', cause });
+            }
+        }
+
+        let assets = manifest;
+        if (!Array.isArray(manifest)) {
+            baseUrl = manifest.baseUrl ?? baseUrl;
+            assets = manifest.assets ?? manifest;
+        }
+
+        const list = Array.isArray(assets)
+            ? assets
+            : Object.entries(assets).map(([key, value]) => typeof value === 'string' ? { key, url: value } : { key, ...value });
+
+        return list.map(entry => {
+            if (typeof entry === 'string') entry = { key: entry };
+            const url = entry.url || entry.key;
+            return {
+                key: entry.key || url,
+                url: /^([a-z]+:|\/)/i.test(url) ? url : baseUrl + url,
+                type: entry.type || AssetManager.getTypeFromUrl(url)
+            };
+        });
+    }
+
+    /**
+     * Get a loaded asset
+     * @param {string} key
+     * @returns {any}
+     * @throws {AssetError} If the asset isn't loaded (or failed)
+     */
+    get(key) {
+        const entry = this.assets.get(key);
+        if (!entry) {
+            throw new AssetError(`Asset "${key}" has not been loaded`, { key });
+        }
+        if (entry.status === 'failed') {
+            throw entry.error;
+        }
+        if (entry.status !== 'loaded') {
+            throw new AssetError(`Asset "${key}" is still loading`, { key, url: entry.url, type: entry.type });
+        }
+        return entry.data;
+    }
+
+    /**
+     * Check whether an asset has finished loading
+     * @param {string} key
+     * @returns {boolean}
+     */
+    isLoaded(key) {
+        return this.assets.get(key)?.status === 'loaded';
+    }
+
+    /**
+     * Add a reference to a loaded asset
+     * @param {string} key
+     */
+    retain(key) {
+        const entry = this.assets.get(key);
+        if (entry) entry.refCount++;
+    }
+
+    /**
+     * Drop a reference, unloading the asset when none are left
+     * @param {string} key
+     */
+    release(key) {
+        const entry = this.assets.get(key);
+        if (!entry) return;
+        entry.refCount--;
+        if (entry.refCount <= 0) {
+            this.unload(key);
+        }
+    }
+
+    /**
+     * Remove an asset from the cache regardless of references
+     * @param {string} key - Any key the asset was loaded under
+     */
+    unload(key) {
+        const entry = this.assets.get(key);
+        if (!entry) return;
+        for (const alias of entry.keys) {
+            this.assets.delete(alias);
+        }
+        entry.status = 'unloaded';
+        entry.data = null;
+    }
+
+    /**
+     * Remove every asset
+     */
+    unloadAll() {
+        for (const key of Array.from(this.assets.keys())) {
+            this.unload(key);
+        }
+    }
+
+    /**
+     * Summary of the cache for debugging
+     * @returns {Array<{key: string, type: string, status: string, refCount: number}>}
+     */
+    list() {
+        const entries = new Set(this.assets.values());
+        return Array.from(entries, ({ key, url, type, status, refCount }) => ({ key, url, type, status, refCount }));
+    }
+
+    /**
+     * @private
+     */
+    createEntry(key, url, type) {
+        const entry = {
+            key,
+            url,
+            type,
+            status: 'loading',
+            data: null,
+            error: null,
+            promise: null,
+            refCount: 0,
+            keys: new Set([key])
+        };
+
+        const loader = this.loaders.get(type);
+        if (!loader) {
+            entry.status = 'failed';
+            entry.error = new AssetError(`No loader for asset type "${type}" (asset "${key}")`, { key, url, type });
+            entry.promise = Promise.reject(entry.error);
+        } else {
+            entry.promise = Promise.resolve()
+                .then(() => loader(url, this))
+                .then(data => {
+                    entry.status = 'loaded';
+                    entry.data = data;
+                    return data;
+                }, cause => {
+                    entry.status = 'failed';
+                    entry.error = cause instanceof AssetError
+                        ? cause
+                        : new AssetError(`Failed to load ${type} "${key}" from ${url}: ${cause?.message || cause}`, { key, url, type, cause });
+
+                    // Forget failures so a later load can retry
+                    for (const alias of entry.keys) {
+                        if (this.assets.get(alias) === entry) this.assets.delete(alias);
+                    }
+                    throw entry.error;
+                });
+        }
+
+        // Callers handle the rejection; don't report it as unhandled from here
+        entry.promise.catch(() => {});
+        this.assets.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * @private
+     */
+    findByUrl(url, type) {
+        for (const entry of this.assets.values()) {
+            if (entry.url === url && entry.type === type) return entry;
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    resolveUrl(url) {
+        if (!this.baseUrl || /^([a-z]+:|\/)/i.test(url)) return url;
+        return this.baseUrl + url;
+    }
+
+    /**
+     * @private
+     */
+    async fetchImage(url) {
+        if (typeof Image === 'undefined') {
+            throw new Error('images cannot be decoded without a DOM');
+        }
+        const image = new Image();
+        image.src = url;
+        try {
+            await image.decode();
+        } catch (error) {
+            throw new Error('the file is missing or is not a decodable image');
+        }
+        return image;
+    }
+
+    /**
+     * @private
+     */
+    async fetchResponse(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response;
+    }
+
+    /**
+     * @private
+     */
+    async fetchJSON(url) {
+        const text = await (await this.fetchResponse(url)).text();
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`invalid JSON (${error.message})`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    async fetchText(url) {
+        return (await this.fetchResponse(url)).text();
+    }
+
+    /**
+     * @private
+     */
+    async fetchArrayBuffer(url) {
+        return (await this.fetchResponse(url)).arrayBuffer();
+    }
+}
+
+// File extension -> asset type
+AssetManager.extensionTypes = {
+    png: 'image', jpg: 'image', jpeg: 'image', gif: 'image', webp: 'image', bmp: 'image', svg: 'image',
+    json: 'json',
+    mp3: 'audio', wav: 'audio', ogg: 'audio', m4a: 'audio', aac: 'audio', flac: 'audio',
+    txt: 'text', csv: 'text', xml: 'text', tmx: 'text'
+};
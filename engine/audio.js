@@ -0,0 +1,727 @@
+import { AssetManager } from './assets.js';
+
+/**
+ * Web Audio sound playback with mixing buses, per-clip voice pools and 2D spatial sound.
+ * Without Web Audio (headless engines, old browsers) every call is a silent no-op.
+ */
+
+/**
+ * One playing (or paused) voice of a clip. Instances are pooled per clip and
+ * reused, so don't keep a reference after the sound has ended.
+ */
+export class Sound {
+    /**
+     * @param {AudioManager} manager
+     * @param {Object} clip - Clip record created by AudioManager.loadSound
+     */
+    constructor(manager, clip) {
+        this.manager = manager;
+        this.clip = clip;
+        this.source = null;
+        this.gain = manager.context ? manager.context.createGain() : null;
+        this.panner = null;      // Created the first time the voice plays spatially
+
+        this.volume = 1;
+        this.pitch = 1;
+        this.loop = false;
+        this.bus = clip.bus;
+        this.playing = false;
+        this.paused = false;
+        this.startedAt = 0;      // Context time the current source started
+        this.offset = 0;         // Seconds into the clip when the current source started
+        this.onEnded = null;
+
+        // Spatial settings ({ x, y, entity, curve, ... }), null for plain sounds
+        this.spatial = null;
+        this.attenuation = 1;    // Distance and occlusion volume factor
+        this.pan = 0;            // -1 (left) to 1 (right)
+    }
+
+    /**
+     * Start playback
+     * @param {Object} options - volume, pitch, loop, bus, offset, onEnded
+     * @private
+     */
+    play(options = {}) {
+        this.volume = options.volume ?? 1;
+        this.pitch = options.pitch ?? 1;
+        this.loop = options.loop === true;
+        this.bus = options.bus || this.clip.bus;
+        this.onEnded = options.onEnded || null;
+        this.paused = false;
+        this.spatial = options.spatial || null;
+        this.attenuation = 1;
+        this.pan = 0;
+
+        this.connectOutput();
+        this.startSource(options.offset || 0);
+    }
+
+    /**
+     * Route gain (and the panner for spatial voices) into the bus
+     * @private
+     */
+    connectOutput() {
+        const { context } = this.manager;
+        if (!this.gain) return;
+
+        this.gain.disconnect();
+        if (this.spatial && !this.panner && context.createStereoPanner) {
+            this.panner = context.createStereoPanner();
+        }
+
+        if (this.spatial && this.panner) {
+            this.panner.disconnect();
+            this.panner.connect(this.manager.getBusNode(this.bus));
+            this.gain.connect(this.panner);
+        } else {
+            this.gain.connect(this.manager.getBusNode(this.bus));
+        }
+        this.applyGain();
+    }
+
+    /**
+     * @private
+     */
+    applyGain() {
+        if (this.gain) {
+            this.gain.gain.value = this.volume * this.clip.volume * this.attenuation;
+        }
+        if (this.panner) {
+            this.panner.pan.value = this.spatial ? this.pan : 0;
+        }
+    }
+
+    /**
+     * Create a buffer source and start it at an offset
+     * @param {number} offset - Seconds into the clip
+     * @private
+     */
+    startSource(offset) {
+        const { context } = this.manager;
+        if (!context || !this.clip.buffer) {
+            // Silent stub: nothing to play, so the voice ends straight away
+            this.playing = false;
+            return;
+        }
+
+        const source = context.createBufferSource();
+        source.buffer = this.clip.buffer;
+        source.loop = this.loop;
+        source.playbackRate.value = this.pitch;
+        source.connect(this.gain);
+        source.onended = () => {
+            // Stopping for pause/replay replaces the source; ignore the stale one
+            if (this.source !== source) return;
+            this.handleEnded();
+        };
+
+        this.source = source;
+        this.offset = offset;
+        this.startedAt = context.currentTime;
+        this.playing = true;
+        source.start(0, offset);
+    }
+
+    /**
+     * Seconds into the clip
+     * @returns {number}
+     */
+    getPosition() {
+        const { context } = this.manager;
+        if (!this.playing || !context) return this.offset;
+
+        const position = this.offset + (context.currentTime - this.startedAt) * this.pitch;
+        const duration = this.clip.buffer?.duration || 0;
+        return this.loop && duration > 0 ? position % duration : Math.min(position, duration);
+    }
+
+    /**
+     * Pause, remembering the position
+     */
+    pause() {
+        if (!this.playing) return;
+        this.offset = this.getPosition();
+        this.paused = true;
+        this.playing = false;
+        this.stopSource();
+    }
+
+    /**
+     * Continue from where pause() left off
+     */
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.startSource(this.offset);
+    }
+
+    /**
+     * Stop and return the voice to its pool
+     */
+    stop() {
+        if (!this.playing && !this.paused) return;
+        this.stopSource();
+        this.handleEnded();
+    }
+
+    /**
+     * @param {number} volume - 0 to 1 (multiplied by the clip and bus volume)
+     */
+    setVolume(volume) {
+        this.volume = volume;
+        this.applyGain();
+    }
+
+    /**
+     * Move a spatial voice to a world position (detaching it from its entity)
+     * @param {number} x
+     * @param {number} y
+     */
+    setPosition(x, y) {
+        if (!this.spatial) return;
+        this.spatial.x = x;
+        this.spatial.y = y;
+        this.spatial.entity = null;
+    }
+
+    /**
+     * @param {number} pitch - Playback rate (1 = normal, 2 = an octave up)
+     */
+    setPitch(pitch) {
+        this.offset = this.getPosition();
+        this.startedAt = this.manager.context?.currentTime || 0;
+        this.pitch = pitch;
+        if (this.source) {
+            this.source.playbackRate.value = pitch;
+        }
+    }
+
+    /**
+     * @private
+     */
+    stopSource() {
+        const source = this.source;
+        this.source = null;
+        if (!source) return;
+        source.onended = null;
+        try {
+            source.stop();
+        } catch (error) {
+            // Already stopped
+        }
+        source.disconnect();
+    }
+
+    /**
+     * @private
+     */
+    handleEnded() {
+        this.playing = false;
+        this.paused = false;
+        this.source = null;
+        this.offset = 0;
+        this.spatial = null;
+        this.manager.releaseVoice(this);
+
+        if (this.onEnded) {
+            const onEnded = this.onEnded;
+            this.onEnded = null;
+            try {
+                onEnded(this);
+            } catch (error) {
+                console.error(`Error in onEnded for sound ${this.clip.name}:`, error);
+            }
+        }
+    }
+}
+
+/**
+ * Loads clips and mixes them through named buses ('master', 'music', 'sfx' by default)
+ */
+export class AudioManager {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.headless Skip Web Audio entirely (silent stub)
+     * @param {AudioContext} options.context Use an existing audio context
+     * @param {AssetManager} options.assets Asset manager that loads and caches audio files
+     * @param {Engine} options.engine Engine whose main camera and scene spatial sounds use
+     */
+    constructor(options = {}) {
+        const AudioContextClass = typeof window !== 'undefined'
+            ? (window.AudioContext || window.webkitAudioContext)
+            : null;
+
+        this.context = options.context
+            || (!options.headless && AudioContextClass ? new AudioContextClass() : null);
+        this.enabled = this.context !== null;
+        this.assets = options.assets || new AssetManager();
+        this.assets.registerLoader('audio', url => this.decode(url));
+
+        // Clip name -> clip record
+        this.clips = new Map();
+        this.engine = options.engine || null;
+        this.paused = false;
+
+        // Camera, entity or {x, y} spatial sounds are heard from (null = main camera)
+        this.listener = null;
+
+        // Voices currently playing or paused, and the ones pause() paused
+        this.voices = new Set();
+        this.pausedVoices = new Set();
+
+        // Bus name -> { name, parent, volume, muted, node }
+        this.buses = new Map();
+        this.addBus('master', { parent: null });
+        this.addBus('music');
+        this.addBus('sfx');
+
+        // Browsers keep new contexts suspended until the player interacts with the page
+        if (this.enabled && typeof window !== 'undefined' && this.context.state === 'suspended') {
+            const unlock = () => {
+                if (!this.paused) this.context.resume();
+                window.removeEventListener('pointerdown', unlock);
+                window.removeEventListener('keydown', unlock);
+            };
+            window.addEventListener('pointerdown', unlock);
+            window.addEventListener('keydown', unlock);
+        }
+    }
+
+    /**
+     * Create a mixing bus
+     * @param {string} name - Bus name
+     * @param {Object} options - volume (0-1), parent bus (default 'master', null for the output)
+     * @returns {Object} The bus
+     */
+    addBus(name, options = {}) {
+        const bus = {
+            name,
+            parent: options.parent === undefined ? 'master' : options.parent,
+            volume: options.volume ?? 1,
+            muted: false,
+            node: this.context ? this.context.createGain() : null
+        };
+
+        if (bus.node) {
+            bus.node.gain.value = bus.volume;
+            bus.node.connect(bus.parent ? this.getBusNode(bus.parent) : this.context.destination);
+        }
+
+        this.buses.set(name, bus);
+        return bus;
+    }
+
+    /**
+     * Get the gain node sounds on a bus connect to
+     * @param {string} name - Bus name (unknown names fall back to master)
+     * @returns {GainNode|null}
+     * @private
+     */
+    getBusNode(name) {
+        const bus = this.buses.get(name);
+        if (!bus) {
+            console.warn(`Audio bus ${name} does not exist, using master`);
+            return this.buses.get('master').node;
+        }
+        return bus.node;
+    }
+
+    /**
+     * Set a bus volume
+     * @param {string} name - Bus name
+     * @param {number} volume - 0 to 1
+     */
+    setBusVolume(name, volume) {
+        const bus = this.buses.get(name);
+        if (!bus) {
+            console.warn(`Audio bus ${name} does not exist`);
+            return;
+        }
+        bus.volume = volume;
+        this.applyBusGain(bus);
+    }
+
+    /**
+     * Get a bus volume
+     * @param {string} name - Bus name
+     * @returns {number}
+     */
+    getBusVolume(name) {
+        return this.buses.get(name)?.volume ?? 0;
+    }
+
+    /**
+     * Mute or unmute a bus, keeping its volume setting
+     * @param {string} name - Bus name
+     * @param {boolean} muted
+     */
+    setBusMuted(name, muted = true) {
+        const bus = this.buses.get(name);
+        if (!bus) {
+            console.warn(`Audio bus ${name} does not exist`);
+            return;
+        }
+        bus.muted = muted;
+        this.applyBusGain(bus);
+    }
+
+    /**
+     * Check whether a bus is muted
+     * @param {string} name - Bus name
+     * @returns {boolean}
+     */
+    isBusMuted(name) {
+        return this.buses.get(name)?.muted ?? false;
+    }
+
+    /**
+     * @param {Object} bus
+     * @private
+     */
+    applyBusGain(bus) {
+        if (bus.node) {
+            bus.node.gain.value = bus.muted ? 0 : bus.volume;
+        }
+    }
+
+    /**
+     * Load a sound clip through the asset manager (files shared by several clips decode once)
+     * @param {string} name - Name to play the clip by
+     * @param {string} url - Audio file (any format the browser decodes: MP3, WAV, OGG)
+     * @param {Object} options - bus (default 'sfx'), volume, maxVoices (simultaneous plays, default 8)
+     * @returns {Promise<Object>} The clip
+     * @throws {AssetError} If the file can't be loaded or decoded
+     */
+    async loadSound(name, url, options = {}) {
+        const buffer = await this.assets.loadAudio(url);
+        if (this.clips.has(name)) {
+            this.unloadSound(name);
+        }
+        return this.addSound(name, buffer, { ...options, url });
+    }
+
+    /**
+     * Fetch and decode an audio file (the asset manager's 'audio' loader)
+     * @param {string} url
+     * @returns {Promise<AudioBuffer|null>} null when audio is disabled
+     * @private
+     */
+    async decode(url) {
+        if (!this.enabled) return null;
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.arrayBuffer();
+        try {
+            return await this.context.decodeAudioData(data);
+        } catch (error) {
+            throw new Error(`the file could not be decoded (${error.message})`);
+        }
+    }
+
+    /**
+     * Register an already decoded buffer as a clip
+     * @param {string} name - Name to play the clip by
+     * @param {AudioBuffer|null} buffer - Decoded audio (null for a silent clip)
+     * @param {Object} options - bus, volume, maxVoices
+     * @returns {Object} The clip
+     */
+    addSound(name, buffer, options = {}) {
+        const clip = {
+            name,
+            url: options.url || null,
+            buffer,
+            bus: options.bus || 'sfx',
+            volume: options.volume ?? 1,
+            maxVoices: options.maxVoices ?? 8,
+            voices: [],           // Active voices, oldest first
+            pool: []              // Idle voices ready for reuse
+        };
+        this.clips.set(name, clip);
+        return clip;
+    }
+
+    /**
+     * Get a loaded clip
+     * @param {string} name
+     * @returns {Object|null}
+     */
+    getSound(name) {
+        return this.clips.get(name) || null;
+    }
+
+    /**
+     * Remove a clip, stopping its voices and releasing its audio file
+     * @param {string} name
+     */
+    unloadSound(name) {
+        const clip = this.getSound(name);
+        if (!clip) return;
+        for (const voice of clip.voices.slice()) {
+            voice.stop();
+        }
+        this.clips.delete(name);
+        if (clip.url) {
+            this.assets.release(clip.url);
+        }
+    }
+
+    /**
+     * Play a loaded clip. When the clip is at its voice limit the oldest voice is cut off.
+     * @param {string} name - Clip name
+     * @param {Object} options - volume (0-1), pitch (playback rate), loop, bus, offset (seconds), onEnded
+     * @returns {Sound|null} The playing voice, or null if the clip isn't loaded
+     */
+    playSound(name, options = {}) {
+        const clip = this.getSound(name);
+        if (!clip) {
+            console.warn(`Sound ${name} is not loaded`);
+            return null;
+        }
+
+        if (clip.voices.length >= clip.maxVoices) {
+            clip.voices[0].stop();
+        }
+
+        const voice = clip.pool.pop() || new Sound(this, clip);
+        clip.voices.push(voice);
+        this.voices.add(voice);
+        voice.play(options);
+
+        // Sounds started while the engine is paused wait for resume
+        if (this.paused && voice.playing) {
+            voice.pause();
+            this.pausedVoices.add(voice);
+        }
+
+        // Silent voices end immediately
+        if (!voice.playing && !voice.paused) {
+            voice.handleEnded();
+        }
+        return voice;
+    }
+
+    /**
+     * Play a clip from a world position or attached to an entity, panned and attenuated
+     * relative to the listener
+     * @param {string} name - Clip name
+     * @param {Object} options - Everything playSound takes, plus:
+     *     x, y - World position (ignored when entity is given)
+     *     entity - Entity the sound follows; it stays where the entity was destroyed
+     *     falloff - Distance at which the sound is quietest (maxDistance, default 500)
+     *     minDistance - Distance heard at full volume (default 50)
+     *     curve - 'linear' (silent at falloff), 'inverse' or 'exponential' (default 'linear')
+     *     rolloff - Steepness of the curve (default 1)
+     *     panDistance - Horizontal offset that pans fully left/right (default falloff)
+     *     occlusion - Muffle the sound when solid collision pixels block the listener
+     *     occludedVolume - Volume factor while occluded (default 0.3)
+     * @returns {Sound|null} The playing voice
+     */
+    playSpatialSound(name, options = {}) {
+        const maxDistance = options.falloff ?? options.maxDistance ?? 500;
+        const spatial = {
+            x: options.x ?? 0,
+            y: options.y ?? 0,
+            entity: options.entity || null,
+            curve: options.curve || 'linear',
+            minDistance: options.minDistance ?? 50,
+            maxDistance,
+            rolloff: options.rolloff ?? 1,
+            panDistance: options.panDistance ?? maxDistance,
+            occlusion: options.occlusion === true,
+            occludedVolume: options.occludedVolume ?? 0.3
+        };
+
+        if (!AudioManager.falloffCurves[spatial.curve]) {
+            console.warn(`Unknown falloff curve ${spatial.curve}, using linear`);
+            spatial.curve = 'linear';
+        }
+
+        const voice = this.playSound(name, { ...options, spatial });
+        if (voice?.spatial) {
+            this.updateVoice(voice, this.getListenerPosition());
+        }
+        return voice;
+    }
+
+    /**
+     * Set what spatial sounds are heard from
+     * @param {Camera|Entity|{x: number, y: number}|null} listener - null follows the main camera
+     */
+    setListener(listener) {
+        this.listener = listener;
+    }
+
+    /**
+     * Get the listener's world position
+     * @returns {{x: number, y: number}|null}
+     */
+    getListenerPosition() {
+        const listener = this.listener || this.engine?.getMainCamera() || null;
+        if (!listener) return null;
+        if (typeof listener.getWorldPosition === 'function') {
+            return listener.getWorldPosition();
+        }
+        return { x: listener.x, y: listener.y };
+    }
+
+    /**
+     * Volume factor for a distance on a falloff curve
+     * @param {number} distance - Distance from the listener
+     * @param {Object} spatial - curve, minDistance, maxDistance, rolloff
+     * @returns {number} 0 to 1
+     */
+    static getFalloff(distance, spatial) {
+        const curve = AudioManager.falloffCurves[spatial.curve] || AudioManager.falloffCurves.linear;
+        const minDistance = Math.max(spatial.minDistance, 0.0001);
+        const maxDistance = Math.max(spatial.maxDistance, minDistance);
+        if (distance <= minDistance) return 1;
+        return Math.max(0, Math.min(1, curve(Math.min(distance, maxDistance), minDistance, maxDistance, spatial.rolloff)));
+    }
+
+    /**
+     * Pan and attenuate every spatial voice (called once per rendered frame)
+     */
+    update() {
+        if (this.voices.size === 0) return;
+
+        const listener = this.getListenerPosition();
+        for (const voice of this.voices) {
+            if (voice.spatial) {
+                this.updateVoice(voice, listener);
+            }
+        }
+    }
+
+    /**
+     * @param {Sound} voice
+     * @param {{x: number, y: number}|null} listener
+     * @private
+     */
+    updateVoice(voice, listener) {
+        const spatial = voice.spatial;
+
+        // Follow the entity, staying where it was destroyed
+        if (spatial.entity) {
+            const position = spatial.entity.getWorldPosition();
+            spatial.x = position.x;
+            spatial.y = position.y;
+            if (spatial.entity.destroyed) {
+                spatial.entity = null;
+            }
+        }
+
+        if (!listener) {
+            voice.attenuation = 1;
+            voice.pan = 0;
+            voice.applyGain();
+            return;
+        }
+
+        const dx = spatial.x - listener.x;
+        const dy = spatial.y - listener.y;
+        let attenuation = AudioManager.getFalloff(Math.hypot(dx, dy), spatial);
+
+        if (spatial.occlusion && attenuation > 0 && this.isOccluded(spatial, listener)) {
+            attenuation *= spatial.occludedVolume;
+        }
+
+        voice.attenuation = attenuation;
+        voice.pan = spatial.panDistance > 0 ? Math.max(-1, Math.min(1, dx / spatial.panDistance)) : 0;
+        voice.applyGain();
+    }
+
+    /**
+     * Check whether the collision map (pixels or tiles) blocks the line between a sound and the listener
+     * @param {{x: number, y: number}} from
+     * @param {{x: number, y: number}} to
+     * @returns {boolean}
+     * @private
+     */
+    isOccluded(from, to) {
+        const scene = this.engine?.currentScene;
+        if (!scene) return false;
+
+        return !scene.hasLineOfSight(from, to);
+    }
+
+    /**
+     * Stop every voice of a clip, or every voice on a bus when bus is given
+     * @param {string} name - Clip name (null for all clips)
+     * @param {string} bus - Only stop voices on this bus
+     */
+    stopSound(name = null, bus = null) {
+        for (const voice of Array.from(this.voices)) {
+            if (name && voice.clip.name !== name) continue;
+            if (bus && voice.bus !== bus) continue;
+            voice.stop();
+        }
+    }
+
+    /**
+     * Stop everything
+     */
+    stopAll() {
+        this.stopSound();
+    }
+
+    /**
+     * Return an ended voice to its clip's pool
+     * @param {Sound} voice
+     * @private
+     */
+    releaseVoice(voice) {
+        if (!this.voices.delete(voice)) return;
+        this.pausedVoices.delete(voice);
+
+        const { clip } = voice;
+        const index = clip.voices.indexOf(voice);
+        if (index !== -1) {
+            clip.voices.splice(index, 1);
+        }
+        if (clip.pool.length < clip.maxVoices) {
+            clip.pool.push(voice);
+        }
+    }
+
+    /**
+     * Pause every voice (called when the engine pauses)
+     */
+    pause() {
+        if (this.paused) return;
+        this.paused = true;
+        for (const voice of this.voices) {
+            if (!voice.playing) continue;
+            voice.pause();
+            this.pausedVoices.add(voice);
+        }
+    }
+
+    /**
+     * Resume voices paused by pause(); voices paused individually stay paused
+     */
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        if (this.context?.state === 'suspended') {
+            this.context.resume();
+        }
+        for (const voice of this.pausedVoices) {
+            voice.resume();
+        }
+        this.pausedVoices.clear();
+    }
+}
+
+/**
+ * Falloff curves: (distance, minDistance, maxDistance, rolloff) => volume, with distance
+ * clamped to [minDistance, maxDistance]. Matches the Web Audio PannerNode distance models.
+ */
+AudioManager.falloffCurves = {
+    linear: (distance, min, max, rolloff) => 1 - rolloff * (distance - min) / (max - min || 1),
+    inverse: (distance, min, max, rolloff) => min / (min + rolloff * (distance - min)),
+    exponential: (distance, min, max, rolloff) => Math.pow(distance / min, -rolloff)
+};
@@ -1,19 +1,53 @@
 /**
  * Camera class for managing viewports and world-to-screen transformations
  */
-class Camera {
-    constructor(width = 800, height = 600) {
-        // Create canvas for this camera
-        this.canvas = document.createElement('canvas');
-        this.canvas.width = width;
-        this.canvas.height = height;
-        this.ctx = this.canvas.getContext('2d');
+export class Camera {
+    /**
+     * @param {number} width Canvas width (ignored when an existing canvas is supplied)
+     * @param {number} height Canvas height (ignored when an existing canvas is supplied)
+     * @param {Object} options Optional canvas, context, container, offscreen, viewport, renderOrder and layerMask
+     */
+    constructor(width = 800, height = 600, options = {}) {
+        // Without a DOM (headless engines) draw into an injected or no-op context
+        this.headless = typeof document === 'undefined';
+
+        if (options.context) {
+            this.ctx = options.context;
+            this.canvas = options.context.canvas || { width, height };
+        } else if (options.canvas) {
+            // Share an existing canvas (split-screen, picture-in-picture)
+            this.canvas = options.canvas;
+            this.ctx = this.canvas.getContext('2d');
+        } else if (this.headless) {
+            this.canvas = { width, height };
+            this.ctx = Camera.createNullContext(this.canvas);
+        } else {
+            this.canvas = document.createElement('canvas');
+            this.canvas.width = width;
+            this.canvas.height = height;
+            this.ctx = this.canvas.getContext('2d');
+        }
+
+        // Offscreen cameras render to their canvas without adding it to the page,
+        // so the canvas can be drawn elsewhere as a texture
+        this.offscreen = options.offscreen === true;
+
+        // Region of the canvas this camera draws into (null = whole canvas)
+        this.viewport = options.viewport ? { ...options.viewport } : null;
+
+        // Lower numbers render on top, matching entity renderOrder
+        this.renderOrder = options.renderOrder ?? 0;
+
+        // Bitmask of entity layers this camera renders (all layers by default)
+        this.layerMask = options.layerMask ?? 0xFFFFFFFF;
+
+        this.enabled = true;
 
         // Camera properties
         this.x = 0;
         this.y = 0;
         this.scale = 1;
-        this.rotation = 0;
+        this.rotation = 0; // Radians
 
         // Target entity to follow (if any)
         this.target = null;
@@ -31,13 +65,70 @@ class Camera {
             speed: 0.1
         };
 
-        // Add canvas to game container
-        const container = document.getElementById('game-container');
+        // Add canvas to the given container element or id (defaults to #game-container)
+        if (this.headless || options.canvas || options.context || this.offscreen) return;
+        const container = typeof options.container === 'object'
+            ? options.container
+            : document.getElementById(options.container || 'game-container');
         if (container) {
             container.appendChild(this.canvas);
         }
     }
 
+    /**
+     * Create a 2D context stand-in that accepts every call and draws nothing
+     * @param {Object} canvas Object exposing width and height
+     * @returns {CanvasRenderingContext2D}
+     */
+    static createNullContext(canvas) {
+        const noop = () => {};
+        return new Proxy({ canvas }, {
+            get(target, property) {
+                return property in target ? target[property] : noop;
+            },
+            set(target, property, value) {
+                target[property] = value;
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Set the region of the canvas this camera draws into
+     * @param {number} x 
+     * @param {number} y 
+     * @param {number} width 
+     * @param {number} height 
+     */
+    setViewport(x, y, width, height) {
+        this.viewport = { x, y, width, height };
+    }
+
+    /**
+     * Get the viewport rectangle in canvas pixels
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getViewport() {
+        return this.viewport || { x: 0, y: 0, width: this.canvas.width, height: this.canvas.height };
+    }
+
+    /**
+     * Set which entity layers this camera renders
+     * @param {number} mask Bitmask where bit N enables layer N
+     */
+    setLayerMask(mask) {
+        this.layerMask = mask;
+    }
+
+    /**
+     * Check if this camera renders a given entity
+     * @param {Entity} entity 
+     * @returns {boolean}
+     */
+    canSee(entity) {
+        return (this.layerMask & (1 << (entity.layer || 0))) !== 0;
+    }
+
     /**
      * Set camera viewport size
      * @param {number} width 
@@ -96,9 +187,10 @@ class Camera {
      * @returns {Object} Screen coordinates
      */
     worldToScreen(worldX, worldY) {
+        const viewport = this.getViewport();
         return {
-            x: (worldX - this.x) * this.scale + this.canvas.width / 2,
-            y: (worldY - this.y) * this.scale + this.canvas.height / 2
+            x: (worldX - this.x) * this.scale + viewport.x + viewport.width / 2,
+            y: (worldY - this.y) * this.scale + viewport.y + viewport.height / 2
         };
     }
 
@@ -109,19 +201,27 @@ class Camera {
      * @returns {Object} World coordinates
      */
     screenToWorld(screenX, screenY) {
+        const viewport = this.getViewport();
         return {
-            x: (screenX - this.canvas.width / 2) / this.scale + this.x,
-            y: (screenY - this.canvas.height / 2) / this.scale + this.y
+            x: (screenX - viewport.x - viewport.width / 2) / this.scale + this.x,
+            y: (screenY - viewport.y - viewport.height / 2) / this.scale + this.y
         };
     }
 
     /**
      * Update camera position and follow target if set
+     * @param {number} alpha Interpolation factor between the target's previous and current position
      */
-    update() {
+    update(alpha = 1) {
         if (this.target) {
-            const targetX = this.target.x + this.followOffset.x;
-            const targetY = this.target.y + this.followOffset.y;
+            let targetX = this.target.x;
+            let targetY = this.target.y;
+            if (alpha < 1 && this.target.previousX !== undefined) {
+                targetX = this.target.previousX + (targetX - this.target.previousX) * alpha;
+                targetY = this.target.previousY + (targetY - this.target.previousY) * alpha;
+            }
+            targetX += this.followOffset.x;
+            targetY += this.followOffset.y;
 
             if (this.smoothing.enabled) {
                 // Smooth camera movement
@@ -139,18 +239,41 @@ class Camera {
     }
 
     /**
-     * Clear the camera's canvas
+     * Clear the camera's viewport
      */
     clear() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        const viewport = this.getViewport();
+        this.ctx.clearRect(viewport.x, viewport.y, viewport.width, viewport.height);
+    }
+
+    /**
+     * World area the camera shows (the box around the view when the camera is rotated)
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getWorldBounds() {
+        const viewport = this.getViewport();
+        const halfWidth = viewport.width / (2 * this.scale);
+        const halfHeight = viewport.height / (2 * this.scale);
+        const cos = Math.abs(Math.cos(this.rotation));
+        const sin = Math.abs(Math.sin(this.rotation));
+        const extentX = halfWidth * cos + halfHeight * sin;
+        const extentY = halfWidth * sin + halfHeight * cos;
+        return { x: this.x - extentX, y: this.y - extentY, width: extentX * 2, height: extentY * 2 };
     }
 
     /**
      * Begin drawing scene for this camera
      */
     begin() {
+        const viewport = this.getViewport();
         this.ctx.save();
-        this.ctx.translate(this.canvas.width / 2, this.canvas.height / 2);
+
+        // Keep drawing inside the viewport
+        this.ctx.beginPath();
+        this.ctx.rect(viewport.x, viewport.y, viewport.width, viewport.height);
+        this.ctx.clip();
+
+        this.ctx.translate(viewport.x + viewport.width / 2, viewport.y + viewport.height / 2);
         this.ctx.scale(this.scale, this.scale);
         this.ctx.rotate(this.rotation);
         this.ctx.translate(-this.x, -this.y);
@@ -167,24 +290,30 @@ class Camera {
      * Render the scene for this camera
      * @param {Scene} scene Current game scene
      * @param {Engine} engine Game engine instance
+     * @param {number} alpha Interpolation factor between previous and current entity positions
+     * @param {Object} options clear: erase the viewport first (false to draw over scenes beneath)
      */
-    render(scene, engine) {
+    render(scene, engine, alpha = 1, options = {}) {
         if (!scene) {
             console.error('Camera: No scene provided for rendering');
             return;
         }
 
-        this.clear();
+        const viewport = this.getViewport();
+
+        if (options.clear ?? true) {
+            this.clear();
+        }
         this.begin();
 
         // Draw background
         if (scene.backgroundColor) {
             this.ctx.fillStyle = scene.backgroundColor;
             this.ctx.fillRect(
-                this.x - this.canvas.width / (2 * this.scale),
-                this.y - this.canvas.height / (2 * this.scale),
-                this.canvas.width / this.scale,
-                this.canvas.height / this.scale
+                this.x - viewport.width / (2 * this.scale),
+                this.y - viewport.height / (2 * this.scale),
+                viewport.width / this.scale,
+                viewport.height / this.scale
             );
         }
 
@@ -193,9 +322,15 @@ class Camera {
             this.ctx.drawImage(scene.map, 0, 0);
         }
 
+        // Only the tiles in view; foreground layers are drawn after the entities
+        const worldBounds = this.getWorldBounds();
+        if (scene.tilemap) {
+            scene.tilemap.render(this.ctx, worldBounds);
+        }
+
         // Debug: draw collision map
-        if (window.engine?.debug?.enabled) {    
-            scene.renderCollisionMap(this.ctx);
+        if (engine?.debug?.enabled) {
+            scene.renderCollisionMap(this.ctx, worldBounds);
         }
 
         // Draw entities
@@ -203,20 +338,64 @@ class Camera {
         entities.sort((a, b) => b.renderOrder - a.renderOrder);
 
         for (const entity of entities) {
-            if (entity.visible) {
-                try {
-                    entity.render(this.ctx);
-                } catch (error) {
-                    console.error('Failed to render entity:', error);
-                }
-            }
+            this.renderEntity(entity, alpha);
+        }
+
+        if (scene.tilemap) {
+            scene.tilemap.render(this.ctx, worldBounds, { foreground: true });
         }
 
         this.end();
 
-        // Render debug information on top if enabled
-        if (engine.debug.enabled) {
-            engine.debug.render(this.ctx, engine);
+        // Screen-space drawing (HUD, loading screens), clipped to the viewport
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.rect(viewport.x, viewport.y, viewport.width, viewport.height);
+        this.ctx.clip();
+        this.ctx.translate(viewport.x, viewport.y);
+        try {
+            scene.renderScreen(this.ctx, viewport, this);
+        } catch (error) {
+            console.error('Error rendering scene screen layer:', error);
+        }
+        this.ctx.restore();
+    }
+
+    /**
+     * Render an entity, then its children inside the entity's transform
+     * @param {Entity} entity Entity to draw
+     * @param {number} alpha Interpolation factor between previous and current positions
+     */
+    renderEntity(entity, alpha = 1) {
+        if (!entity.visible || entity.destroyed || !this.canSee(entity)) return;
+
+        // Draw between the last two simulated positions, then restore
+        const x = entity.x;
+        const y = entity.y;
+        if (alpha < 1 && entity.previousX !== undefined) {
+            entity.x = entity.previousX + (x - entity.previousX) * alpha;
+            entity.y = entity.previousY + (y - entity.previousY) * alpha;
+        }
+
+        try {
+            entity.render(this.ctx);
+
+            if (entity.children?.length) {
+                const children = entity.children.slice();
+                children.sort((a, b) => b.renderOrder - a.renderOrder);
+
+                this.ctx.save();
+                entity.applyTransform(this.ctx);
+                for (const child of children) {
+                    this.renderEntity(child, alpha);
+                }
+                this.ctx.restore();
+            }
+        } catch (error) {
+            console.error('Failed to render entity:', error);
+        } finally {
+            entity.x = x;
+            entity.y = y;
         }
     }
 }
@@ -0,0 +1,626 @@
+/**
+ * Solid/empty grid for fast collision queries: one bit per cell in packed rows, plus a mask per
+ * 32x32-cell chunk of the rows holding solid cells, so queries skip empty regions and rows without
+ * reading their bits
+ */
+
+// Chunks are one 32-bit word wide, so a chunk column is also a word column
+const CHUNK_SIZE = 32;
+
+// Overlap (in cells) small enough to be rounding error: a box this far into a cell still touches it
+const TOUCH_EPSILON = 1e-9;
+
+export class CollisionGrid {
+    /**
+     * @param {number} columns - Width in cells
+     * @param {number} rows - Height in cells
+     * @param {Object} options - cellWidth and cellHeight in world units (default 1, a pixel per cell)
+     */
+    constructor(columns, rows, options = {}) {
+        this.columns = columns;
+        this.rows = rows;
+        this.cellWidth = options.cellWidth ?? 1;
+        this.cellHeight = options.cellHeight ?? 1;
+
+        // Bit (col & 31) of word (row * wordsPerRow + (col >> 5)) is set for solid cells
+        this.wordsPerRow = Math.ceil(columns / 32);
+        this.bits = new Uint32Array(this.wordsPerRow * rows);
+
+        // Bit (row & 31) of a chunk's mask is set when that row of the chunk (one word) has solid cells
+        this.chunkColumns = this.wordsPerRow;
+        this.chunkRows = Math.ceil(rows / CHUNK_SIZE);
+        this.rowMasks = new Uint32Array(this.chunkColumns * this.chunkRows);
+    }
+
+    /**
+     * Build a grid from per-cell values
+     * @param {ArrayLike<number>} cells - One value per cell, row by row
+     * @param {number} columns
+     * @param {number} rows
+     * @param {Uint8Array} solidValues - Value -> 1 if cells holding it are solid (default: any non-zero)
+     * @param {Object} options - cellWidth, cellHeight
+     * @returns {CollisionGrid}
+     */
+    static fromCells(cells, columns, rows, solidValues = null, options = {}) {
+        const grid = new CollisionGrid(columns, rows, options);
+        for (let row = 0; row < rows; row++) {
+            const rowStart = row * columns;
+            const wordStart = row * grid.wordsPerRow;
+            const chunkStart = (row >> 5) * grid.chunkColumns;
+            for (let col = 0; col < columns; col++) {
+                const value = cells[rowStart + col];
+                if (solidValues ? solidValues[value] : value) {
+                    grid.bits[wordStart + (col >> 5)] |= 1 << (col & 31);
+                    grid.rowMasks[chunkStart + (col >> 5)] |= 1 << (row & 31);
+                }
+            }
+        }
+        return grid;
+    }
+
+    /**
+     * Check whether a cell is solid
+     * @param {number} col
+     * @param {number} row
+     * @returns {boolean} True outside the grid too
+     */
+    get(col, row) {
+        if (col < 0 || row < 0 || col >= this.columns || row >= this.rows) return true;
+        return (this.bits[row * this.wordsPerRow + (col >> 5)] & (1 << (col & 31))) !== 0;
+    }
+
+    /**
+     * Make a cell solid or empty
+     * @param {number} col
+     * @param {number} row
+     * @param {boolean} solid
+     */
+    set(col, row, solid) {
+        if (col < 0 || row < 0 || col >= this.columns || row >= this.rows) return;
+        if (this.get(col, row) === solid) return;
+
+        const word = row * this.wordsPerRow + (col >> 5);
+        const chunk = (row >> 5) * this.chunkColumns + (col >> 5);
+        if (solid) {
+            this.bits[word] |= 1 << (col & 31);
+            this.rowMasks[chunk] |= 1 << (row & 31);
+        } else {
+            this.bits[word] &= ~(1 << (col & 31));
+            if (this.bits[word] === 0) this.rowMasks[chunk] &= ~(1 << (row & 31));
+        }
+    }
+
+    /**
+     * Check if a world point is inside a solid cell
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @returns {boolean}
+     */
+    isSolidAt(x, y) {
+        return this.get(Math.floor(x / this.cellWidth), Math.floor(y / this.cellHeight));
+    }
+
+    /**
+     * Check if a world rectangle overlaps a solid cell (or leaves the grid)
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {number} width - Rectangle width
+     * @param {number} height - Rectangle height
+     * @returns {boolean}
+     */
+    rectHasSolid(x, y, width, height) {
+        const startCol = Math.floor(x / this.cellWidth);
+        const startRow = Math.floor(y / this.cellHeight);
+        const endCol = Math.ceil((x + width) / this.cellWidth) - 1;
+        const endRow = Math.ceil((y + height) / this.cellHeight) - 1;
+        return this.cellsHaveSolid(startCol, startRow, Math.max(startCol, endCol), Math.max(startRow, endRow));
+    }
+
+    /**
+     * Check if a world circle overlaps a solid cell (or leaves the grid)
+     * @param {number} x - Centre X
+     * @param {number} y - Centre Y
+     * @param {number} radius
+     * @returns {boolean}
+     */
+    circleHasSolid(x, y, radius) {
+        const startRow = Math.floor((y - radius) / this.cellHeight);
+        const endRow = Math.floor((y + radius) / this.cellHeight);
+        const startCol = Math.floor((x - radius) / this.cellWidth);
+        const endCol = Math.floor((x + radius) / this.cellWidth);
+
+        // Nothing solid around the circle at all: done without testing rows
+        if (!this.cellsHaveSolid(startCol, startRow, endCol, endRow)) return false;
+
+        for (let row = startRow; row <= endRow; row++) {
+            // Widest part of the circle within this row's band
+            const top = row * this.cellHeight;
+            const dy = y < top ? top - y : Math.max(0, y - (top + this.cellHeight));
+            if (dy > radius) continue;
+            const halfWidth = Math.sqrt(radius * radius - dy * dy);
+
+            const fromCol = Math.floor((x - halfWidth) / this.cellWidth);
+            const toCol = Math.floor((x + halfWidth) / this.cellWidth);
+            if (this.cellsHaveSolid(fromCol, row, toCol, row)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Find where a line segment first enters a solid cell (or leaves the grid)
+     * @param {number} x0 - Start X
+     * @param {number} y0 - Start Y
+     * @param {number} x1 - End X
+     * @param {number} y1 - End Y
+     * @returns {{x: number, y: number, col: number, row: number, distance: number, normal: {x: number, y: number}}|null}
+     *     The entry point and cell, or null if the segment is clear. The normal faces back
+     *     across the crossed cell edge ({x: 0, y: 0} when the segment starts inside a solid cell)
+     */
+    castLine(x0, y0, x1, y1) {
+        const dx = x1 - x0;
+        const dy = y1 - y0;
+        const cellWidth = this.cellWidth;
+        const cellHeight = this.cellHeight;
+
+        // Walk cell by cell (Amanatides & Woo), t running from 0 at the start to 1 at the end
+        const stepX = Math.sign(dx);
+        const stepY = Math.sign(dy);
+        const tDeltaX = stepX !== 0 ? cellWidth / Math.abs(dx) : Infinity;
+        const tDeltaY = stepY !== 0 ? cellHeight / Math.abs(dy) : Infinity;
+        // t at which the segment crosses the far side of a column or row
+        const boundaryX = col => stepX !== 0 ? ((col + (stepX > 0 ? 1 : 0)) * cellWidth - x0) / dx : Infinity;
+        const boundaryY = row => stepY !== 0 ? ((row + (stepY > 0 ? 1 : 0)) * cellHeight - y0) / dy : Infinity;
+
+        let col = Math.floor(x0 / cellWidth);
+        let row = Math.floor(y0 / cellHeight);
+        let tMaxX = boundaryX(col);
+        let tMaxY = boundaryY(row);
+        let t = 0;
+        // Which cell edge was crossed last: 0 none, 1 vertical, 2 horizontal
+        let side = 0;
+
+        const { bits, rowMasks, columns, rows, wordsPerRow, chunkColumns } = this;
+        for (;;) {
+            if (col < 0 || row < 0 || col >= columns || row >= rows) {
+                return this.makeHit(x0, y0, dx, dy, t, col, row, side === 1 ? -stepX : 0, side === 2 ? -stepY : 0);
+            }
+
+            const chunkCol = col >> 5;
+            const chunkRow = row >> 5;
+            const word = bits[row * wordsPerRow + chunkCol];
+            if (rowMasks[chunkRow * chunkColumns + chunkCol] === 0) {
+                const firstCol = chunkCol * CHUNK_SIZE;
+                const firstRow = chunkRow * CHUNK_SIZE;
+                const lastCol = firstCol + CHUNK_SIZE - 1;
+                const lastRow = firstRow + CHUNK_SIZE - 1;
+
+                // Empty chunk entirely inside the grid: jump to where the segment leaves it
+                if (lastCol < columns && lastRow < rows) {
+                    const exitX = stepX > 0 ? boundaryX(lastCol) : stepX < 0 ? boundaryX(firstCol) : Infinity;
+                    const exitY = stepY > 0 ? boundaryY(lastRow) : stepY < 0 ? boundaryY(firstRow) : Infinity;
+                    t = Math.min(exitX, exitY);
+                    if (t > 1) return null;
+
+                    if (exitX < exitY) {
+                        side = 1;
+                        col = stepX > 0 ? lastCol + 1 : firstCol - 1;
+                        row = Math.min(lastRow, Math.max(firstRow, Math.floor((y0 + dy * t) / cellHeight)));
+                    } else {
+                        side = 2;
+                        row = stepY > 0 ? lastRow + 1 : firstRow - 1;
+                        col = Math.min(lastCol, Math.max(firstCol, Math.floor((x0 + dx * t) / cellWidth)));
+                    }
+                    tMaxX = boundaryX(col);
+                    tMaxY = boundaryY(row);
+                    continue;
+                }
+            } else if (word === 0 && stepX !== 0) {
+                // Empty row of the chunk: jump to where the segment leaves the row or the chunk
+                const firstCol = chunkCol * CHUNK_SIZE;
+                const lastCol = Math.min(columns - 1, firstCol + CHUNK_SIZE - 1);
+                const exitX = boundaryX(stepX > 0 ? lastCol : firstCol);
+                t = Math.min(exitX, tMaxY);
+                if (t > 1) return null;
+
+                if (exitX < tMaxY) {
+                    side = 1;
+                    col = stepX > 0 ? lastCol + 1 : firstCol - 1;
+                } else {
+                    side = 2;
+                    row += stepY;
+                    col = Math.min(lastCol, Math.max(firstCol, Math.floor((x0 + dx * t) / cellWidth)));
+                }
+                tMaxX = boundaryX(col);
+                tMaxY = boundaryY(row);
+                continue;
+            } else if ((word & (1 << (col & 31))) !== 0) {
+                return this.makeHit(x0, y0, dx, dy, t, col, row, side === 1 ? -stepX : 0, side === 2 ? -stepY : 0);
+            }
+
+            if (tMaxX < tMaxY) {
+                if (tMaxX > 1) return null;
+                col += stepX;
+                side = 1;
+                t = tMaxX;
+                tMaxX += tDeltaX;
+            } else {
+                if (tMaxY > 1) return null;
+                row += stepY;
+                side = 2;
+                t = tMaxY;
+                tMaxY += tDeltaY;
+            }
+        }
+    }
+
+    /**
+     * Sweep a box along a movement and find the first solid cell it runs into (or the grid edge).
+     * Only cells the box enters are tested, so a box that starts inside a wall can move out of it
+     * @param {number} x - Box left at the start
+     * @param {number} y - Box top at the start
+     * @param {number} width
+     * @param {number} height
+     * @param {number} dx - Movement X
+     * @param {number} dy - Movement Y
+     * @returns {{time: number, x: number, y: number, col: number, row: number, normal: {x: number, y: number}}|null}
+     *     time is the fraction of the movement done before contact, x/y the contact point on the box
+     */
+    sweepRect(x, y, width, height, dx, dy) {
+        const { cellWidth, cellHeight } = this;
+        const right = x + width;
+        const bottom = y + height;
+        const stepX = Math.sign(dx);
+        const stepY = Math.sign(dy);
+
+        // Next column/row line the leading edges cross, and the time they cross it (just below 0 when
+        // rounding left an edge a hair past a line, so a box slid into a corner still stops there)
+        let lineCol = stepX > 0 ? Math.ceil(right / cellWidth - TOUCH_EPSILON) : Math.floor(x / cellWidth + TOUCH_EPSILON);
+        let lineRow = stepY > 0 ? Math.ceil(bottom / cellHeight - TOUCH_EPSILON) : Math.floor(y / cellHeight + TOUCH_EPSILON);
+        let tX = stepX !== 0 ? (lineCol * cellWidth - (stepX > 0 ? right : x)) / dx : Infinity;
+        let tY = stepY !== 0 ? (lineRow * cellHeight - (stepY > 0 ? bottom : y)) / dy : Infinity;
+        const tDeltaX = stepX !== 0 ? cellWidth / Math.abs(dx) : Infinity;
+        const tDeltaY = stepY !== 0 ? cellHeight / Math.abs(dy) : Infinity;
+
+        // The leading side of the box covers the cells up to the last line crossed, so at a corner
+        // (both lines crossed at once) the column is tested first, then the row including the corner cell
+        while (tX <= 1 || tY <= 1) {
+            if (tX <= tY) {
+                const top = y + dy * tX;
+                const [startRow, endRow] = coveredCells(top, top + height, cellHeight, stepY, lineRow);
+                const col = stepX > 0 ? lineCol : lineCol - 1;
+                const cell = this.findSolid(col, startRow, col, endRow, (top + height / 2) / cellHeight);
+                if (cell !== null) {
+                    const contactY = Math.min(top + height, Math.max(top, (cell[1] + 0.5) * cellHeight));
+                    return { time: Math.max(0, tX), x: lineCol * cellWidth, y: contactY, col, row: cell[1], normal: { x: -stepX, y: 0 } };
+                }
+                lineCol += stepX;
+                tX += tDeltaX;
+            } else {
+                const left = x + dx * tY;
+                const [startCol, endCol] = coveredCells(left, left + width, cellWidth, stepX, lineCol);
+                const row = stepY > 0 ? lineRow : lineRow - 1;
+                const cell = this.findSolid(startCol, row, endCol, row, (left + width / 2) / cellWidth);
+                if (cell !== null) {
+                    const contactX = Math.min(left + width, Math.max(left, (cell[0] + 0.5) * cellWidth));
+                    return { time: Math.max(0, tY), x: contactX, y: lineRow * cellHeight, col: cell[0], row, normal: { x: 0, y: -stepY } };
+                }
+                lineRow += stepY;
+                tY += tDeltaY;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Sweep a circle along a movement and find where it first touches a solid cell (or the grid edge).
+     * A circle that starts overlapping solid cells is not stopped, so it can move out of a wall
+     * @param {number} x - Centre X at the start
+     * @param {number} y - Centre Y at the start
+     * @param {number} radius
+     * @param {number} dx - Movement X
+     * @param {number} dy - Movement Y
+     * @returns {{time: number, x: number, y: number, col: number, row: number, normal: {x: number, y: number}}|null}
+     *     time is the fraction of the movement done before contact, x/y the contact point on the cell
+     */
+    sweepCircle(x, y, radius, dx, dy) {
+        const { cellWidth, cellHeight } = this;
+
+        // Only a real overlap lets the circle move freely; one left touching a wall still stops at the next
+        const length = Math.hypot(dx, dy);
+        const overlapRadius = radius - TOUCH_EPSILON * Math.min(cellWidth, cellHeight);
+        if (length === 0 || this.circleHasSolid(x, y, overlapRadius)) return null;
+
+        const gridRight = this.columns * cellWidth;
+        const gridBottom = this.rows * cellHeight;
+
+        // Split long moves so each piece only tests the cells around its own stretch of path
+        const pieces = Math.ceil(length / Math.max(32, radius * 4));
+        const pieceX = dx / pieces;
+        const pieceY = dy / pieces;
+        for (let piece = 0; piece < pieces; piece++) {
+            const startX = x + pieceX * piece;
+            const startY = y + pieceY * piece;
+            let best = null;
+            const consider = (hit, col, row) => {
+                if (hit && (!best || hit.time < best.time)) {
+                    best = { ...hit, col, row };
+                }
+            };
+
+            this.forEachSolidCell(
+                Math.floor((Math.min(startX, startX + pieceX) - radius) / cellWidth),
+                Math.floor((Math.min(startY, startY + pieceY) - radius) / cellHeight),
+                Math.floor((Math.max(startX, startX + pieceX) + radius) / cellWidth),
+                Math.floor((Math.max(startY, startY + pieceY) + radius) / cellHeight),
+                (col, row) => consider(sweepCircleRect(
+                    startX, startY, radius, pieceX, pieceY,
+                    col * cellWidth, row * cellHeight, (col + 1) * cellWidth, (row + 1) * cellHeight
+                ), col, row)
+            );
+
+            // Everything outside the grid is solid
+            if (pieceX < 0) consider(sweepCircleEdge(startX, startY, radius, pieceX, pieceY, 0, 1, 0), -1, Math.floor(startY / cellHeight));
+            if (pieceX > 0) consider(sweepCircleEdge(startX, startY, radius, pieceX, pieceY, gridRight, -1, 0), this.columns, Math.floor(startY / cellHeight));
+            if (pieceY < 0) consider(sweepCircleEdge(startX, startY, radius, pieceX, pieceY, 0, 0, 1), Math.floor(startX / cellWidth), -1);
+            if (pieceY > 0) consider(sweepCircleEdge(startX, startY, radius, pieceX, pieceY, gridBottom, 0, -1), Math.floor(startX / cellWidth), this.rows);
+
+            if (best) {
+                best.time = (piece + best.time) / pieces;
+                return best;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Call back for every solid cell in a range (clipped to the grid), skipping empty chunks
+     * @param {number} startCol
+     * @param {number} startRow
+     * @param {number} endCol - Inclusive
+     * @param {number} endRow - Inclusive
+     * @param {Function} callback - (col, row) => void
+     */
+    forEachSolidCell(startCol, startRow, endCol, endRow, callback) {
+        startCol = Math.max(0, startCol);
+        startRow = Math.max(0, startRow);
+        endCol = Math.min(this.columns - 1, endCol);
+        endRow = Math.min(this.rows - 1, endRow);
+
+        for (let chunkRow = startRow >> 5; chunkRow <= endRow >> 5; chunkRow++) {
+            const fromRow = Math.max(startRow, chunkRow * CHUNK_SIZE);
+            const toRow = Math.min(endRow, chunkRow * CHUNK_SIZE + CHUNK_SIZE - 1);
+            const rangeRows = rangeMask(chunkRow, fromRow, toRow);
+            for (let chunkCol = startCol >> 5; chunkCol <= endCol >> 5; chunkCol++) {
+                let solidRows = this.rowMasks[chunkRow * this.chunkColumns + chunkCol] & rangeRows;
+                if (solidRows === 0) continue;
+
+                const mask = rangeMask(chunkCol, startCol, endCol);
+                for (; solidRows !== 0; solidRows &= solidRows - 1) {
+                    const row = chunkRow * CHUNK_SIZE + 31 - Math.clz32(solidRows & -solidRows);
+                    let word = this.bits[row * this.wordsPerRow + chunkCol] & mask;
+                    while (word !== 0) {
+                        const bit = 31 - Math.clz32(word & -word);
+                        callback(chunkCol * 32 + bit, row);
+                        word &= word - 1;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Check a cell range for solid cells; ranges reaching outside the grid count as solid
+     * @private
+     */
+    cellsHaveSolid(startCol, startRow, endCol, endRow) {
+        if (startCol < 0 || startRow < 0 || endCol >= this.columns || endRow >= this.rows) return true;
+
+        const { bits, rowMasks, wordsPerRow, chunkColumns } = this;
+        for (let chunkRow = startRow >> 5; chunkRow <= endRow >> 5; chunkRow++) {
+            const rangeRows = rangeMask(chunkRow, startRow, endRow);
+            for (let chunkCol = startCol >> 5; chunkCol <= endCol >> 5; chunkCol++) {
+                // Only the chunk's rows that hold solid cells are read
+                let solidRows = rowMasks[chunkRow * chunkColumns + chunkCol] & rangeRows;
+                if (solidRows === 0) continue;
+
+                const mask = rangeMask(chunkCol, startCol, endCol);
+                for (; solidRows !== 0; solidRows &= solidRows - 1) {
+                    const row = chunkRow * CHUNK_SIZE + 31 - Math.clz32(solidRows & -solidRows);
+                    if ((bits[row * wordsPerRow + chunkCol] & mask) !== 0) return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Find the solid cell in a range closest to a line (a row or column position, in cells)
+     * @returns {Array<number>|null} [col, row]
+     * @private
+     */
+    findSolid(startCol, startRow, endCol, endRow, center) {
+        let found = null;
+        let best = Infinity;
+        for (let row = startRow; row <= endRow; row++) {
+            for (let col = startCol; col <= endCol; col++) {
+                if (!this.get(col, row)) continue;
+                const offset = Math.abs((startCol === endCol ? row : col) + 0.5 - center);
+                if (offset < best) {
+                    best = offset;
+                    found = [col, row];
+                }
+            }
+        }
+        return found;
+    }
+
+    /**
+     * @private
+     */
+    makeHit(x0, y0, dx, dy, t, col, row, normalX, normalY) {
+        // Put the point exactly on the crossed edge
+        return {
+            x: normalX !== 0 ? (col + (normalX > 0 ? 1 : 0)) * this.cellWidth : x0 + dx * t,
+            y: normalY !== 0 ? (row + (normalY > 0 ? 1 : 0)) * this.cellHeight : y0 + dy * t,
+            col,
+            row,
+            distance: t * Math.hypot(dx, dy),
+            normal: { x: normalX, y: normalY }
+        };
+    }
+}
+
+/**
+ * Bits of a 32-bit word (a word column, or a chunk's row mask) that fall inside [start, end]
+ * @param {number} wordIndex - Which group of 32 columns or rows the word covers
+ * @param {number} start - First column or row
+ * @param {number} end - Last column or row
+ * @returns {number}
+ */
+function rangeMask(wordIndex, start, end) {
+    const first = start > wordIndex * 32 ? start - wordIndex * 32 : 0;
+    const last = end < wordIndex * 32 + 31 ? end - wordIndex * 32 : 31;
+    return (-1 << first) & (-1 >>> (31 - last));
+}
+
+/**
+ * Cells a moving box spans on one axis: the trailing side from its position, the leading side from
+ * the last cell line it crossed
+ * @param {number} from - Span start in world units
+ * @param {number} to - Span end in world units
+ * @param {number} size - Cell size
+ * @param {number} step - Sign of the movement on this axis
+ * @param {number} line - Next cell line the leading side will cross
+ * @returns {Array<number>} [first, last] cell
+ */
+function coveredCells(from, to, size, step, line) {
+    const first = step < 0 ? line : Math.floor(from / size);
+    const last = step > 0 ? line - 1 : Math.ceil(to / size) - 1;
+    if (last >= first) return [first, last];
+    return step > 0 ? [last, last] : [first, first];
+}
+
+/**
+ * Sweep a moving box against a still one
+ * @param {number} left - Moving box at the start
+ * @param {number} top
+ * @param {number} right
+ * @param {number} bottom
+ * @param {number} dx - Movement X
+ * @param {number} dy - Movement Y
+ * @param {{left: number, top: number, right: number, bottom: number}} other - Still box
+ * @returns {{time: number, x: number, y: number, normal: {x: number, y: number}}|null} First contact
+ *     (time as a fraction of the movement), null if the box misses, only slides along or starts inside the other
+ */
+export function sweepRectRect(left, top, right, bottom, dx, dy, other) {
+    let enter = -Infinity;
+    let exit = Infinity;
+    let normalX = 0;
+    let normalY = 0;
+
+    if (dx === 0) {
+        if (right <= other.left || left >= other.right) return null;
+    } else {
+        enter = (dx > 0 ? other.left - right : other.right - left) / dx;
+        exit = (dx > 0 ? other.right - left : other.left - right) / dx;
+        normalX = -Math.sign(dx);
+    }
+
+    if (dy === 0) {
+        if (bottom <= other.top || top >= other.bottom) return null;
+    } else {
+        const enterY = (dy > 0 ? other.top - bottom : other.bottom - top) / dy;
+        exit = Math.min(exit, (dy > 0 ? other.bottom - top : other.top - bottom) / dy);
+        if (enterY > enter) {
+            enter = enterY;
+            normalX = 0;
+            normalY = -Math.sign(dy);
+        }
+    }
+
+    if (enter < 0 || enter >= exit || enter > 1) return null;
+
+    // Contact point: the middle of where the two boxes meet
+    const x = normalX !== 0
+        ? (dx > 0 ? other.left : other.right)
+        : (Math.max(left + dx * enter, other.left) + Math.min(right + dx * enter, other.right)) / 2;
+    const y = normalY !== 0
+        ? (dy > 0 ? other.top : other.bottom)
+        : (Math.max(top + dy * enter, other.top) + Math.min(bottom + dy * enter, other.bottom)) / 2;
+    return { time: enter, x, y, normal: { x: normalX, y: normalY } };
+}
+
+/**
+ * Sweep a moving circle against a still box: the first touch of one of its sides or corners
+ * @param {number} x - Centre X at the start
+ * @param {number} y - Centre Y at the start
+ * @param {number} radius
+ * @param {number} dx - Movement X
+ * @param {number} dy - Movement Y
+ * @param {number} left - Box
+ * @param {number} top
+ * @param {number} right
+ * @param {number} bottom
+ * @returns {{time: number, x: number, y: number, normal: {x: number, y: number}}|null} First contact
+ *     (time as a fraction of the movement), null if the circle misses, grazes or starts inside the box
+ */
+export function sweepCircleRect(x, y, radius, dx, dy, left, top, right, bottom) {
+    const nearestX = Math.min(right, Math.max(left, x));
+    const nearestY = Math.min(bottom, Math.max(top, y));
+    if (Math.hypot(x - nearestX, y - nearestY) < radius) return null;
+
+    let best = null;
+    const consider = (time, pointX, pointY, normalX, normalY) => {
+        if (time >= 0 && time <= 1 && (!best || time < best.time)) {
+            best = { time, x: pointX, y: pointY, normal: { x: normalX, y: normalY } };
+        }
+    };
+
+    // Sides: the centre reaching a side pushed out by the radius
+    if (dx !== 0) {
+        const side = dx > 0 ? left : right;
+        const time = (side - Math.sign(dx) * radius - x) / dx;
+        const atY = y + dy * time;
+        if (atY > top && atY < bottom) consider(time, side, atY, -Math.sign(dx), 0);
+    }
+    if (dy !== 0) {
+        const side = dy > 0 ? top : bottom;
+        const time = (side - Math.sign(dy) * radius - y) / dy;
+        const atX = x + dx * time;
+        if (atX > left && atX < right) consider(time, atX, side, 0, -Math.sign(dy));
+    }
+
+    // Corners: the centre coming within the radius of a corner (a point has none)
+    const a = dx * dx + dy * dy;
+    const corners = radius > 0 ? [[left, top], [right, top], [left, bottom], [right, bottom]] : [];
+    for (const [cornerX, cornerY] of corners) {
+        const offsetX = x - cornerX;
+        const offsetY = y - cornerY;
+        const b = offsetX * dx + offsetY * dy;
+        const c = offsetX * offsetX + offsetY * offsetY - radius * radius;
+        const discriminant = b * b - a * c;
+        if (b >= 0 || discriminant <= 0) continue;
+
+        const time = (-b - Math.sqrt(discriminant)) / a;
+        consider(time, cornerX, cornerY, (x + dx * time - cornerX) / radius, (y + dy * time - cornerY) / radius);
+    }
+    return best;
+}
+
+/**
+ * Sweep a moving circle against the grid's outer edge at x = position (normalX != 0) or y = position
+ * @returns {{time: number, x: number, y: number, normal: {x: number, y: number}}|null}
+ */
+function sweepCircleEdge(x, y, radius, dx, dy, position, normalX, normalY) {
+    const time = normalX !== 0
+        ? (position + normalX * radius - x) / dx
+        : (position + normalY * radius - y) / dy;
+    if (time < 0 || time > 1) return null;
+
+    return {
+        time,
+        x: normalX !== 0 ? position : x + dx * time,
+        y: normalX !== 0 ? y + dy * time : position,
+        normal: { x: normalX, y: normalY }
+    };
+}
@@ -1,10 +1,21 @@
 /**
  * Debug system for Bark Engine
  */
-class Debug {
-    constructor() {
+export class Debug {
+    /**
+     * @param {Object} options Debug options
+     * @param {boolean} options.headless Skip the DOM console and key listeners
+     * @param {Engine} options.engine Engine this debugger belongs to (required)
+     */
+    constructor(options = {}) {
+        if (!options.engine) {
+            throw new TypeError('Debug needs the engine it belongs to');
+        }
+
         // Debug state
         this.enabled = false;
+        this.headless = options.headless ?? typeof window === 'undefined';
+        this.engine = options.engine;
         this.showFPS = true;
         this.showDelta = true;
         this.showEntityCount = true;
@@ -32,7 +43,7 @@ class Debug {
         };
 
         // Initialize if debug is enabled
-        if (this.enabled) {
+        if (this.enabled && !this.headless) {
             this.createDebugConsole();
         }
 
@@ -46,7 +57,9 @@ class Debug {
         this.handleSearch = this.handleSearch.bind(this);
 
         // Set up key listeners
-        window.addEventListener('keydown', this.handleDebugKeys);
+        if (!this.headless) {
+            window.addEventListener('keydown', this.handleDebugKeys);
+        }
     }
 
     /**
@@ -60,7 +73,7 @@ class Debug {
         if (options.pauseKey) this.pauseKey = options.pauseKey;
 
         // Create console if it hasn't been created yet
-        if (this.enabled && !this.consoleElement) {
+        if (this.enabled && !this.consoleElement && !this.headless) {
             this.createDebugConsole();
         }
     }
@@ -73,9 +86,7 @@ class Debug {
         if (!this.enabled) return;
 
         if (event.key === this.pauseKey) {
-            if (window.engine) {
-                window.engine.togglePause();
-            }
+            this.engine.togglePause();
         }
     }
 
@@ -151,13 +162,7 @@ class Debug {
      */
     createDebugConsole() {
         // Calculate maximum width based on canvas position
-        const gameContainer = document.getElementById('game-container');
-        if (gameContainer) {
-            const containerRect = gameContainer.getBoundingClientRect();
-            this.console.maxWidth = containerRect.left - 20; // 20px buffer
-        } else {
-            this.console.maxWidth = window.innerWidth / 2;
-        }
+        this.updateMaxWidth();
 
         // Create container
         this.consoleElement = document.createElement('div');
@@ -605,24 +610,39 @@ class Debug {
         this.searchInput.addEventListener('input', (e) => this.handleSearch(e));
 
         // Initial tracking of engine objects
-        if (window.engine) {
-            this.trackObject('engine', window.engine);
-            if (window.engine.currentScene) {
-                this.trackObject('scene', window.engine.currentScene);
-            }
-            if (window.mainCamera) {
-                this.trackObject('camera', window.mainCamera);
-            }
+        this.trackObject('engine', this.engine);
+        if (this.engine.currentScene) {
+            this.trackObject('scene', this.engine.currentScene);
+        }
+        const camera = this.engine.getMainCamera();
+        if (camera) {
+            this.trackObject('camera', camera);
         }
 
         this.updateConsole();
     }
 
+    /**
+     * Let the console open up to the container of the owning engine's canvas
+     * (cameras can be added after the console is created)
+     * @private
+     */
+    updateMaxWidth() {
+        const container = this.engine.getMainCamera()?.canvas?.parentElement;
+        if (container) {
+            const containerRect = container.getBoundingClientRect();
+            this.console.maxWidth = containerRect.left - 20; // 20px buffer
+        } else {
+            this.console.maxWidth = window.innerWidth / 2;
+        }
+    }
+
     /**
      * Toggle debug console visibility
      */
     toggleConsole() {
         this.console.isOpen = !this.console.isOpen;
+        if (this.console.isOpen) this.updateMaxWidth();
         this.consoleElement.style.transform = this.console.isOpen ? 'translateX(0)' : 'translateX(-100%)';
         this.consoleElement.style.width = this.console.isOpen ? 
             `${Math.min(this.console.maxWidth, window.innerWidth - 20)}px` : 
@@ -655,6 +675,17 @@ class Debug {
         this.updateConsole();
     }
 
+    /**
+     * Stop tracking an object in the debug console
+     * @param {string} key 
+     * @param {any} object Only untrack if the key still points at this object
+     */
+    untrackObject(key, object) {
+        if (object !== undefined && this.trackedObjects.get(key) !== object) return;
+        this.trackedObjects.delete(key);
+        this.updateConsole();
+    }
+
     /**
      * Get the full path for a tracked object
      * @param {string} path 
@@ -1124,7 +1155,7 @@ class Debug {
      */
     setEnabled(enabled) {
         this.enabled = enabled;
-        if (enabled && !this.consoleElement) {
+        if (enabled && !this.consoleElement && !this.headless) {
             this.createDebugConsole();
         }
     }
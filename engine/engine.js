@@ -1,27 +1,75 @@
+import { AssetManager } from './assets.js';
+import { AudioManager } from './audio.js';
+import { Debug } from './debug.js';
+import { EventEmitter } from './events.js';
+import { LoadingScene } from './loading.js';
+import { SceneTransition } from './transition.js';
+import { KeyframeAnimation, Tween, TweenGroup, TweenManager, TweenSequence } from './tween.js';
+
 /**
  * Core Engine class that manages the game loop, entities, and scenes
+ *
+ * Events: sceneLoaded, sceneExit, sceneLoadError, scenePushed, scenePopped, entityAdded,
+ * entityRemoved, scriptAttached, scriptDetached, componentAdded, componentRemoved, animationEvent,
+ * animationComplete, paused, resumed, preUpdate, postUpdate, preRender, postRender
  */
-class Engine {
-    constructor() {
-        // Singleton instance check
-        if (Engine.instance) {
-            return Engine.instance;
-        }
-        Engine.instance = this;
+export class Engine extends EventEmitter {
+    /**
+     * @param {Object} options Engine options
+     * @param {boolean} options.headless Run without a DOM; the loop is driven manually with step()
+     * @param {string} options.assetBaseUrl Prefix for relative asset URLs
+     */
+    constructor(options = {}) {
+        super();
+
+        // Headless engines never touch window/document and don't schedule frames
+        this.headless = options.headless ?? typeof window === 'undefined';
 
-        // Core properties
-        this.entities = new Map();
+        // Core properties (entities live in scenes, see the entities getter)
         this.scenes = new Map();
         this.currentScene = null;
+
+        // Scenes pushed over the current scene, bottom to top: { id, scene, pausedScenes }
+        this.sceneStack = [];
+        this.pushingScenes = new Set();  // Scenes whose push is still loading assets
+
+        // Shown while a scene's preload() assets load (created on first use)
+        this.loadingScene = null;
+
+        // Scene change in progress (input is blocked) and the transition being drawn
+        this.changingScene = false;
+        this.transition = null;
+        this.sceneLoadId = 0;   // Bumped per loadScene call so superseded ones stop
         this.isRunning = true;
+        this.frameRequested = false;  // A gameLoop call is already scheduled
         this.lastFrameTime = 0;
         this.deltaTime = 0;
 
+        // Cameras rendered each frame (the first one added becomes the main camera)
+        this.cameras = [];
+        this.mainCamera = null;
+
+        // Timestep settings ('variable' steps once per frame, 'fixed' uses an accumulator)
+        this.timestep = {
+            mode: 'variable',
+            tickRate: 60,          // Fixed updates per second
+            maxSteps: 5,           // Max fixed updates per frame before dropping time
+            maxFrameTime: 0.25,    // Clamp for long stalls (seconds)
+            accumulator: 0,
+            alpha: 1               // Interpolation factor passed to cameras
+        };
+
+        // Tweens advance with the simulation, so they pause with the engine
+        this.tweens = new TweenManager();
+
         // Debug properties
-        this.debug = new Debug();
+        this.debug = new Debug({ headless: this.headless, engine: this });
 
-        // Resource management
-        this.resources = new Map();
+        // Shared, reference-counted images, JSON, text and audio
+        this.assets = new AssetManager({ baseUrl: options.assetBaseUrl });
+
+        // Sound playback (a silent stub when headless)
+        this.audio = new AudioManager({ headless: this.headless, assets: this.assets, engine: this });
         
         // Initialize core systems
         this.initializeSystems();
@@ -34,12 +82,12 @@ class Engine {
         if (this.debug) {
             this.debug.trackObject('engine', this);
             this.debug.trackObject('scene', this.currentScene);
-            this.debug.trackObject('camera', window.mainCamera);
+            this.debug.trackObject('camera', this.getMainCamera());
             
             // Track collections separately for better visibility
             if (this.currentScene) {
                 this.debug.trackObject('entities', this.currentScene.entities);
-                this.debug.trackObject('resources', this.resources);
+                this.debug.trackObject('assets', this.assets.assets);
             }
         }
     }
@@ -76,6 +124,15 @@ class Engine {
         }
     }
 
+    /**
+     * Register an already imported script class under a name
+     * @param {string} scriptName Name entities use to attach the script
+     * @param {Function} ScriptClass Script class taking the entity in its constructor
+     */
+    registerScript(scriptName, ScriptClass) {
+        this.scripts.set(scriptName, ScriptClass);
+    }
+
     /**
      * Unload a script from the engine
      * @param {string} scriptName Name of script to unload
@@ -110,14 +167,41 @@ class Engine {
     async initializeSystems() {
         // Bind methods
         this.gameLoop = this.gameLoop.bind(this);
-        this.handleDebugKeys = this.handleDebugKeys.bind(this);
 
-        // Set up debug key listeners if debug is enabled
-        window.addEventListener('keydown', this.handleDebugKeys);
+        // Headless engines are stepped manually
+        if (this.headless) return;
 
-        // Start the game Loop
+        // Start the game Loop (the debug pause key is handled by Debug)
         this.lastFrameTime = performance.now();
-        requestAnimationFrame(this.gameLoop);
+        this.requestFrame();
+    }
+
+    /**
+     * Configure how the simulation is stepped
+     * @param {string} mode - 'fixed' for a constant tick rate, 'variable' for one update per frame
+     * @param {Object} options - Optional tickRate, maxSteps and maxFrameTime overrides
+     */
+    setTimestep(mode, options = {}) {
+        if (mode !== 'fixed' && mode !== 'variable') {
+            console.error(`Unknown timestep mode: ${mode}`);
+            return;
+        }
+
+        this.timestep.mode = mode;
+        if (options.tickRate > 0) this.timestep.tickRate = options.tickRate;
+        if (options.maxSteps > 0) this.timestep.maxSteps = options.maxSteps;
+        if (options.maxFrameTime > 0) this.timestep.maxFrameTime = options.maxFrameTime;
+
+        this.timestep.accumulator = 0;
+        this.timestep.alpha = 1;
+    }
+
+    /**
+     * Get the duration of a single fixed update
+     * @returns {number} Fixed delta time in seconds
+     */
+    getFixedDeltaTime() {
+        return 1 / this.timestep.tickRate;
     }
 
     /**
@@ -131,19 +215,14 @@ class Engine {
     }
 
     /**
-     * Handle debug keyboard controls
-     * @param {KeyboardEvent} event 
+     * Schedule the next gameLoop call unless one is already pending, so pausing and
+     * resuming within a frame doesn't start a second loop
+     * @private
      */
-    handleDebugKeys(event) {
-        if (!this.debug.enabled) return;
-
-        if (event.key === this.debug.pauseKey) {
-            this.isRunning = !this.isRunning;
-            if (this.isRunning) {
-                this.lastFrameTime = performance.now();
-                requestAnimationFrame(this.gameLoop);
-            }
-        }
+    requestFrame() {
+        if (this.headless || this.frameRequested) return;
+        this.frameRequested = true;
+        requestAnimationFrame(this.gameLoop);
     }
 
     /**
@@ -151,6 +230,7 @@ class Engine {
      * @param {number} currentTime Current timestamp
      */
     gameLoop(currentTime) {
+        this.frameRequested = false;
         currentTime = performance.now();
         // Calculate delta time first
         this.deltaTime = (currentTime - this.lastFrameTime) / 1000;
@@ -162,18 +242,39 @@ class Engine {
         }
         
         if (!this.isRunning) {
-            this.debug.render(window.mainCamera.ctx, this);
+            this.renderDebugOverlay();
             return;
         }
 
-        // Update current scene and entities
-        this.update();
+        // Simulation phase
+        if (this.timestep.mode === 'fixed') {
+            this.fixedUpdate(this.deltaTime);
+        } else {
+            this.update();
+        }
 
-        // Render debug overlay last
-        this.debug.render(window.mainCamera.ctx, this);
+        // Presentation phase
+        this.render(this.timestep.mode === 'fixed' ? this.timestep.alpha : 1);
 
         // Request next frame
-        requestAnimationFrame(this.gameLoop);
+        this.requestFrame();
+    }
+
+    /**
+     * Advance the engine by one frame without the browser loop (headless mode and tests)
+     * @param {number} deltaTime - Frame duration in seconds (defaults to one fixed tick)
+     */
+    step(deltaTime = this.getFixedDeltaTime()) {
+        if (!this.isRunning) return;
+
+        this.deltaTime = deltaTime;
+        if (this.timestep.mode === 'fixed') {
+            this.fixedUpdate(deltaTime);
+        } else {
+            this.update();
+        }
+
+        this.render(this.timestep.mode === 'fixed' ? this.timestep.alpha : 1);
     }
 
     /**
@@ -182,42 +283,253 @@ class Engine {
     update() {
         if (!this.currentScene) return;
 
-        // Update scene
-        this.currentScene.update(this.deltaTime);
+        // Update the current scene and the scenes pushed over it (paused ones skip themselves)
+        this.emit('preUpdate', { deltaTime: this.deltaTime });
+        for (const scene of this.getActiveScenes()) {
+            scene.update(this.deltaTime);
+        }
+        this.tweens.update(this.deltaTime);
+        this.emit('postUpdate', { deltaTime: this.deltaTime });
+    }
+
+    /**
+     * Render the scene stack through every registered camera
+     * @param {number} alpha - Interpolation factor between the last two simulation steps
+     */
+    render(alpha = 1) {
+        this.emit('preRender', { alpha });
+
+        if (this.currentScene) {
+            // Offscreen cameras first so their canvases are fresh when drawn by others,
+            // then on-screen cameras from highest to lowest render order (lower draws on top)
+            const cameras = this.getCameras().slice().sort((a, b) => {
+                if (a.offscreen !== b.offscreen) return a.offscreen ? -1 : 1;
+                return b.renderOrder - a.renderOrder;
+            });
+
+            for (const camera of cameras) {
+                if (!camera.enabled) continue;
+                camera.update(alpha);
+                if (this.transition) {
+                    this.transition.render(camera, this, alpha);
+                } else {
+                    this.renderScenes(camera, alpha);
+                }
+            }
+        }
+
+        // Spatial sounds follow the cameras and entities as drawn this frame
+        this.audio.update();
 
-        // Update and render all cameras
-        // For now, we'll just use the main camera
-        if (window.mainCamera) {
-            window.mainCamera.update();
-            window.mainCamera.render(this.currentScene, this);
+        this.emit('postRender', { alpha });
+
+        // Finish destroying entities marked outside the update loop
+        for (const scene of this.getActiveScenes()) {
+            scene.flushPendingChanges();
         }
+
+        // Render debug overlay last
+        this.renderDebugOverlay();
     }
 
     /**
-     * Add an entity to the engine
-     * @param {string} id - Unique identifier for the entity
-     * @param {Object} entity - Entity instance to add
+     * Draw the current scene and the visible scenes pushed over it, bottom to top
+     * @param {Camera} camera
+     * @param {number} alpha - Interpolation factor
      */
-    addEntity(id, entity) {
-        if (!this.entities.has(id)) {
-            this.entities.set(id, entity);
-            if (this.currentScene) {
-                this.currentScene.onEntityAdded(entity);
+    renderScenes(camera, alpha = 1) {
+        camera.clear();
+        for (const scene of this.getActiveScenes()) {
+            if (scene.visible) {
+                camera.render(scene, this, alpha, { clear: false });
             }
         }
     }
 
     /**
-     * Remove an entity from the engine
-     * @param {string} id - Entity identifier to remove
+     * Draw the debug overlay on top of the main camera
      */
-    removeEntity(id) {
-        if (this.entities.has(id)) {
-            const entity = this.entities.get(id);
-            if (this.currentScene) {
-                this.currentScene.onEntityRemoved(entity);
+    renderDebugOverlay() {
+        const camera = this.getMainCamera();
+        if (camera) {
+            this.debug.render(camera.ctx, this);
+        }
+    }
+
+    /**
+     * Register a camera with the engine
+     * @param {Camera} camera - Camera instance to render each frame
+     * @returns {Camera} The registered camera
+     */
+    addCamera(camera) {
+        if (!this.cameras.includes(camera)) {
+            this.cameras.push(camera);
+            if (!this.mainCamera) {
+                this.mainCamera = camera;
             }
-            this.entities.delete(id);
+        }
+        return camera;
+    }
+
+    /**
+     * Unregister a camera from the engine
+     * @param {Camera} camera - Camera instance to remove
+     */
+    removeCamera(camera) {
+        const index = this.cameras.indexOf(camera);
+        if (index !== -1) {
+            this.cameras.splice(index, 1);
+            if (this.mainCamera === camera) {
+                this.mainCamera = this.cameras[0] || null;
+            }
+        }
+    }
+
+    /**
+     * Get all cameras that should render this frame
+     * @returns {Array<Camera>}
+     */
+    getCameras() {
+        return this.cameras;
+    }
+
+    /**
+     * Get the camera used for input mapping and the debug overlay
+     * @returns {Camera|null}
+     */
+    getMainCamera() {
+        return this.mainCamera || null;
+    }
+
+    /**
+     * Animate numeric properties of an object (entity, camera, ...) to end values
+     * @param {Object} target - Object to animate
+     * @param {Object} properties - End values, e.g. { x: 200, alpha: 0 }
+     * @param {number} duration - Seconds
+     * @param {string|Function} easing - Easing name (see Easing) or function
+     * @param {Object} options - delay, repeat, yoyo, from, onStart, onUpdate, onRepeat, onComplete
+     * @returns {Tween} Running tween (awaitable)
+     */
+    tween(target, properties, duration, easing = 'linear', options = {}) {
+        return this.tweens.add(new Tween(target, properties, duration, easing, options));
+    }
+
+    /**
+     * Animate properties of an object through keyframes
+     * @param {Object} target - Object to animate
+     * @param {Object} tracks - Property name -> [{ time, value, easing }]
+     * @param {Object} options - delay, repeat, loop, yoyo, onStart, onUpdate, onRepeat, onComplete
+     * @returns {KeyframeAnimation} Running animation (awaitable)
+     */
+    keyframes(target, tracks, options = {}) {
+        return this.tweens.add(new KeyframeAnimation(target, tracks, options));
+    }
+
+    /**
+     * Run tweens one after another
+     * @param {Array<Tween|number|Function>} steps - Tweens, pauses in seconds and callbacks
+     * @param {Object} options - delay, repeat, onStart, onUpdate, onRepeat, onComplete
+     * @returns {TweenSequence} Running sequence (awaitable)
+     */
+    sequence(steps, options = {}) {
+        return this.tweens.add(new TweenSequence(steps, options));
+    }
+
+    /**
+     * Run tweens at the same time
+     * @param {Array<Tween|number|Function>} steps - Tweens, pauses in seconds and callbacks
+     * @param {Object} options - delay, repeat, onStart, onUpdate, onRepeat, onComplete
+     * @returns {TweenGroup} Running group (awaitable)
+     */
+    parallel(steps, options = {}) {
+        return this.tweens.add(new TweenGroup(steps, options));
+    }
+
+    /**
+     * Cancel every tween animating an object
+     * @param {Object} target
+     * @returns {number} Number of tweens cancelled
+     */
+    cancelTweens(target) {
+        return this.tweens.cancelTarget(target);
+    }
+
+    /**
+     * Advance the simulation in constant steps and compute the render interpolation factor
+     * @param {number} frameTime - Real time elapsed since last frame in seconds
+     */
+    fixedUpdate(frameTime) {
+        if (!this.currentScene) return;
+
+        const timestep = this.timestep;
+        const fixedDelta = this.getFixedDeltaTime();
+
+        // Clamp long stalls (tab switches, breakpoints) so we don't simulate seconds at once
+        timestep.accumulator += Math.min(frameTime, timestep.maxFrameTime);
+
+        let steps = 0;
+        while (timestep.accumulator >= fixedDelta && steps < timestep.maxSteps) {
+            this.deltaTime = fixedDelta;
+            const scenes = this.getActiveScenes();
+            for (const scene of scenes) {
+                scene.storePreviousTransforms();
+            }
+            this.emit('preUpdate', { deltaTime: fixedDelta });
+            for (const scene of scenes) {
+                scene.update(fixedDelta);
+            }
+            this.tweens.update(fixedDelta);
+            this.emit('postUpdate', { deltaTime: fixedDelta });
+            timestep.accumulator -= fixedDelta;
+            steps++;
+        }
+
+        // Spiral-of-death guard: drop the time we could not catch up on
+        if (steps === timestep.maxSteps && timestep.accumulator >= fixedDelta) {
+            timestep.accumulator %= fixedDelta;
+        }
+
+        timestep.alpha = timestep.accumulator / fixedDelta;
+    }
+
+    /**
+     * Entities of the current scene
+     * @returns {Set<Entity>}
+     */
+    get entities() {
+        return this.currentScene ? this.currentScene.entities : new Set();
+    }
+
+    /**
+     * Add an entity to the current scene
+     * @param {string|Entity} idOrEntity - Entity, or a name to give the entity (legacy signature)
+     * @param {Entity} entity - Entity instance when a name is passed first
+     * @returns {Entity|null} The added entity
+     */
+    addEntity(idOrEntity, entity) {
+        if (!this.currentScene) {
+            console.warn('Cannot add entity: no scene is loaded');
+            return null;
+        }
+
+        if (typeof idOrEntity === 'object') {
+            entity = idOrEntity;
+        } else if (!entity.name) {
+            entity.name = idOrEntity;
+        }
+
+        this.currentScene.addEntity(entity);
+        return entity;
+    }
+
+    /**
+     * Remove an entity from the scene it belongs to
+     * @param {number|string|Entity} idOrEntity - Entity, entity id, or entity name
+     */
+    removeEntity(idOrEntity) {
+        const entity = typeof idOrEntity === 'object' ? idOrEntity : this.getEntity(idOrEntity);
+        if (entity?.scene) {
+            entity.scene.removeEntity(entity);
         }
     }
 
@@ -227,24 +539,303 @@ class Engine {
      * @param {Object} scene - Scene instance to add
      */
     addScene(id, scene) {
+        scene.engine = this;
         this.scenes.set(id, scene);
     }
 
     /**
-     * Load and set the current scene
+     * Load and set the current scene. Scenes whose preload() returns assets are entered once
+     * those have loaded, with the loading scene shown meanwhile; other scenes switch immediately
+     * unless a transition is given. Input is blocked until the new scene has entered, and a
+     * newer loadScene call takes over from one still running.
      * @param {string} id - Identifier of the scene to load
+     * @param {Object} options - transition: 'fade', 'crossfade', 'wipe', 'iris', a SceneTransition,
+     *     or options such as { type: 'wipe', duration: 1, color: '#fff', direction: 'left' }
+     * @returns {Promise<boolean>} False if the scene doesn't exist, its assets failed to load,
+     *     or another loadScene call took over
      */
-    loadScene(id) {
-        if (this.scenes.has(id)) {
-            // Clean up current scene if it exists
+    async loadScene(id, options = {}) {
+        const scene = this.scenes.get(id);
+        if (!scene) {
+            console.warn(`Scene ${id} does not exist`);
+            return false;
+        }
+
+        const loadId = ++this.sceneLoadId;
+        const transition = options.transition ? SceneTransition.from(options.transition) : null;
+
+        // Stop a transition that is still running; its loadScene call gives up
+        if (this.transition) {
+            this.cancelTweens(this.transition);
+            this.transition = null;
+        }
+
+        this.changingScene = true;
+        try {
+            const manifest = scene.preloaded ? null : scene.preload();
+            if (manifest) {
+                const loadingScene = this.getLoadingScene();
+                loadingScene.reset(id);
+                if (!await this.changeScene(null, loadingScene, transition, loadId)) return false;
+
+                try {
+                    await scene.loadAssets(await manifest, {
+                        onProgress: report => loadingScene.setProgress(report)
+                    });
+                } catch (error) {
+                    // Keep the error on screen unless another scene was requested meanwhile
+                    if (loadId === this.sceneLoadId) {
+                        loadingScene.setError(error);
+                    }
+                    console.error(`Failed to load scene ${id}:`, error);
+                    this.emitSceneEvent('sceneLoadError', { id, scene, error });
+                    return false;
+                }
+            }
+
+            // Assets stay loaded for next time if another loadScene took over meanwhile
+            scene.preloaded = true;
+            if (loadId !== this.sceneLoadId) return false;
+            return await this.changeScene(id, scene, transition, loadId);
+        } finally {
+            if (loadId === this.sceneLoadId) {
+                this.changingScene = false;
+            }
+        }
+    }
+
+    /**
+     * Switch scenes, through a transition when one is given
+     * @param {string|null} id - Scene identifier
+     * @param {Scene} scene - Scene to enter
+     * @param {SceneTransition|null} transition
+     * @param {number} loadId - loadScene call making the change
+     * @returns {Promise<boolean>} False if a newer loadScene call took over
+     * @private
+     */
+    async changeScene(id, scene, transition, loadId) {
+        if (!transition) {
+            await this.setCurrentScene(id, scene);
+            return true;
+        }
+
+        this.transition = transition;
+        transition.start(this);
+        if (transition.covers) {
+            // With nothing on screen yet, start covered and only reveal
             if (this.currentScene) {
-                this.currentScene.onExit();
+                await transition.play(this, 'out');
+                if (loadId !== this.sceneLoadId) return false;
+            } else {
+                transition.cover();
             }
+        }
 
-            // Set and initialize new scene
-            this.currentScene = this.scenes.get(id);
-            this.currentScene.onEnter();
+        await this.setCurrentScene(id, scene);
+        if (loadId !== this.sceneLoadId) return false;
+
+        await transition.play(this, 'in');
+        if (this.transition === transition) {
+            this.transition = null;
         }
+        return loadId === this.sceneLoadId;
+    }
+
+    /**
+     * Exit the current scene and enter another, waiting for async onExit/onEnter hooks
+     * (scenes with synchronous hooks switch immediately)
+     * @param {string|null} id - Scene identifier (null for the loading scene, which emits no events)
+     * @param {Scene} scene - Scene to enter
+     * @private
+     */
+    async setCurrentScene(id, scene) {
+        // Scenes pushed over the old scene go with it
+        while (this.sceneStack.length > 0) {
+            await this.popScene();
+        }
+
+        // Clean up current scene if it exists
+        if (this.currentScene) {
+            const previousScene = this.currentScene;
+            const exiting = previousScene.onExit();
+            if (exiting && typeof exiting.then === 'function') {
+                await exiting;
+            }
+            if (previousScene !== this.loadingScene) {
+                this.emitSceneEvent('sceneExit', { scene: previousScene });
+            }
+        }
+
+        // Set and initialize new scene
+        this.currentScene = scene;
+        const entering = scene.onEnter();
+        if (entering && typeof entering.then === 'function') {
+            await entering;
+        }
+        if (scene !== this.loadingScene) {
+            this.emitSceneEvent('sceneLoaded', { id, scene });
+        }
+    }
+
+    /**
+     * Overlay a scene on the current one (pause menus, dialogs, HUDs). Its preload() assets
+     * load first, without the loading scene since the scenes beneath stay on screen.
+     * @param {string} id - Identifier of the scene to push
+     * @param {Object} options - pauseBelow: pause the scenes beneath until this one is popped
+     *     (default true; false keeps them updating)
+     * @returns {Promise<boolean>} False if the scene doesn't exist, is already shown, there is
+     *     no current scene, or its assets failed to load
+     */
+    async pushScene(id, options = {}) {
+        const scene = this.scenes.get(id);
+        if (!scene) {
+            console.warn(`Scene ${id} does not exist`);
+            return false;
+        }
+        if (!this.currentScene) {
+            console.warn(`Cannot push scene ${id}: no scene is loaded`);
+            return false;
+        }
+        if (this.getActiveScenes().includes(scene) || this.pushingScenes.has(scene)) {
+            console.warn(`Scene ${id} is already shown`);
+            return false;
+        }
+
+        const manifest = scene.preloaded ? null : scene.preload();
+        if (manifest) {
+            this.pushingScenes.add(scene);
+            try {
+                await scene.loadAssets(await manifest);
+            } catch (error) {
+                console.error(`Failed to load scene ${id}:`, error);
+                this.emitSceneEvent('sceneLoadError', { id, scene, error });
+                return false;
+            } finally {
+                this.pushingScenes.delete(scene);
+            }
+
+            // The level may have changed while the assets loaded
+            if (!this.currentScene) {
+                console.warn(`Cannot push scene ${id}: no scene is loaded`);
+                return false;
+            }
+            if (this.getActiveScenes().includes(scene)) {
+                console.warn(`Scene ${id} is already shown`);
+                return false;
+            }
+        }
+        scene.preloaded = true;
+
+        // Only the scenes this push paused are resumed when it is popped
+        const pausedScenes = (options.pauseBelow ?? true)
+            ? this.getActiveScenes().filter(below => !below.isPaused)
+            : [];
+        for (const below of pausedScenes) {
+            below.pause();
+        }
+
+        this.sceneStack.push({ id, scene, pausedScenes });
+        const entering = scene.onEnter();
+        if (entering && typeof entering.then === 'function') {
+            await entering;
+        }
+        this.emitSceneEvent('scenePushed', { id, scene });
+        return true;
+    }
+
+    /**
+     * Remove the topmost pushed scene and resume the scenes it paused
+     * @returns {Promise<Scene|null>} The popped scene, or null if nothing was pushed
+     */
+    async popScene() {
+        const entry = this.sceneStack.pop();
+        if (!entry) {
+            console.warn('Cannot pop scene: no scene was pushed');
+            return null;
+        }
+
+        const exiting = entry.scene.onExit();
+        if (exiting && typeof exiting.then === 'function') {
+            await exiting;
+        }
+        for (const below of entry.pausedScenes) {
+            below.resume();
+        }
+        this.emitSceneEvent('scenePopped', { id: entry.id, scene: entry.scene });
+        return entry.scene;
+    }
+
+    /**
+     * Swap the topmost pushed scene for another, or load the scene when nothing was pushed
+     * @param {string} id - Identifier of the replacement scene
+     * @param {Object} options - pushScene options, or loadScene options when nothing was pushed
+     * @returns {Promise<boolean>}
+     */
+    async replaceScene(id, options = {}) {
+        if (this.sceneStack.length === 0) {
+            return this.loadScene(id, options);
+        }
+        if (!this.scenes.has(id)) {
+            console.warn(`Scene ${id} does not exist`);
+            return false;
+        }
+
+        await this.popScene();
+        return this.pushScene(id, options);
+    }
+
+    /**
+     * Scenes updated and drawn each frame, bottom to top: the current scene, then pushed scenes
+     * @returns {Array<Scene>}
+     */
+    getActiveScenes() {
+        if (!this.currentScene) return [];
+        return [this.currentScene, ...this.sceneStack.map(entry => entry.scene)];
+    }
+
+    /**
+     * Get the scene input goes to: the topmost pushed scene, or the current scene
+     * @returns {Scene|null}
+     */
+    getTopScene() {
+        return this.sceneStack.length > 0
+            ? this.sceneStack[this.sceneStack.length - 1].scene
+            : this.currentScene;
+    }
+
+    /**
+     * Check whether input should reach a scene: not while scenes are changing, and only
+     * for the topmost scene
+     * @param {Scene} scene - Scene asking (omit to ask about input in general)
+     * @returns {boolean}
+     */
+    canReceiveInput(scene = null) {
+        if (this.changingScene) return false;
+        return !scene || scene === this.getTopScene();
+    }
+
+    /**
+     * Get the scene shown while scenes preload
+     * @returns {LoadingScene}
+     */
+    getLoadingScene() {
+        if (!this.loadingScene) {
+            this.setLoadingScene();
+        }
+        return this.loadingScene;
+    }
+
+    /**
+     * Replace or restyle the loading scene
+     * @param {Scene|Object} sceneOrOptions - A Scene with reset/setProgress/setError methods
+     *     (usually a LoadingScene subclass), or LoadingScene options such as barColor and message
+     */
+    setLoadingScene(sceneOrOptions = {}) {
+        const scene = typeof sceneOrOptions.renderScreen === 'function'
+            ? sceneOrOptions
+            : new LoadingScene(sceneOrOptions);
+        scene.engine = this;
+        this.loadingScene = scene;
     }
 
     /**
@@ -256,12 +847,18 @@ class Engine {
     }
 
     /**
-     * Get an entity by ID
-     * @param {string} id - Entity identifier
-     * @returns {Object|null} Entity instance or null if not found
+     * Get an entity by ID (or name), searching the current scene first
+     * @param {number|string} id - Entity id or name
+     * @returns {Entity|null} Entity instance or null if not found
      */
     getEntity(id) {
-        return this.entities.get(id) || null;
+        const scenes = [this.currentScene, ...this.scenes.values()];
+        for (const scene of scenes) {
+            if (!scene) continue;
+            const entity = scene.getEntity(id) || scene.getEntityByName(id);
+            if (entity) return entity;
+        }
+        return null;
     }
 
     /**
@@ -271,7 +868,8 @@ class Engine {
         console.log('Bark Engine started successfully');
         this.isRunning = true;
         this.lastFrameTime = performance.now();
-        requestAnimationFrame(this.gameLoop);
+        this.timestep.accumulator = 0;
+        this.requestFrame();
     }
 
     /**
@@ -281,10 +879,77 @@ class Engine {
         this.isRunning = !this.isRunning;
         if (this.isRunning) {
             this.lastFrameTime = performance.now();
-            requestAnimationFrame(this.gameLoop);
+            this.timestep.accumulator = 0;
+            this.requestFrame();
+            this.audio.resume();
+            this.emit('resumed', { engine: this });
+        } else {
+            this.audio.pause();
+            this.emit('paused', { engine: this });
+        }
+    }
+
+    /**
+     * Load and decode a sound clip
+     * @param {string} name - Name to play the clip by
+     * @param {string} url - Audio file path
+     * @param {Object} options - bus (default 'sfx'), volume, maxVoices
+     * @returns {Promise<Object>} The clip
+     */
+    loadSound(name, url, options = {}) {
+        return this.audio.loadSound(name, url, options);
+    }
+
+    /**
+     * Play a loaded sound clip
+     * @param {string} name - Clip name
+     * @param {Object} options - volume, pitch, loop, bus, offset, onEnded
+     * @returns {Sound|null} The playing voice
+     */
+    playSound(name, options = {}) {
+        return this.audio.playSound(name, options);
+    }
+
+    /**
+     * Play a sound clip from a world position or attached to an entity
+     * @param {string} name - Clip name
+     * @param {Object} options - x, y, entity, falloff, minDistance, curve, rolloff, occlusion, ...
+     *     (see AudioManager.playSpatialSound) plus the playSound options
+     * @returns {Sound|null} The playing voice
+     */
+    playSpatialSound(name, options = {}) {
+        return this.audio.playSpatialSound(name, options);
+    }
+
+    /**
+     * Stop every voice of a sound clip (or every sound when no name is given)
+     * @param {string} name - Clip name
+     */
+    stopSound(name = null) {
+        this.audio.stopSound(name);
+    }
+
+    /**
+     * Remove subscriptions made by an owner on the engine and every registered scene
+     * @param {Object} owner - Owner passed in the on() options
+     */
+    offOwnerEverywhere(owner) {
+        this.offOwner(owner);
+        for (const scene of this.scenes.values()) {
+            scene.offOwner(owner);
         }
     }
 
+    /**
+     * Emit an event on a scene and then on the engine
+     * @param {string} event - Event name
+     * @param {Object} payload - Event data, must include the scene
+     */
+    emitSceneEvent(event, payload) {
+        payload.scene?.emit(event, payload);
+        this.emit(event, payload);
+    }
+
     /**
      * Get the override class
      * @returns {Override}
@@ -294,7 +959,10 @@ class Engine {
     }
 }
 
-const Override = class {
+/**
+ * Wraps entity methods so scripts can run code before, after or instead of them
+ */
+export class Override {
     constructor(entity, instance) {
         this.entity = entity;
         this.instance = instance;
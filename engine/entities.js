@@ -1,23 +1,35 @@
+import { angleBetween, degreesToRadians, radiansToDegrees, rotateTowards } from './angles.js';
+import { Animation, AnimationStateMachine, SpriteSheet } from './animation.js';
+
 /**
  * Base Entity class that all game objects inherit from
  */
-class Entity {
+export class Entity {
     constructor(x = 0, y = 0) {
+        // Identity
+        this.id = Entity.nextId++;
+        this.name = null;
+
         // Position and movement
         this.x = x;
         this.y = y;
         this.velocityX = 0;
         this.velocityY = 0;
 
+        // Transform at the start of the last fixed update (used for interpolation)
+        this.previousX = x;
+        this.previousY = y;
+
         // Dimensions
         this.width = 0;
         this.height = 0;
 
         // Rendering
         this.renderOrder = 0;  // Lower numbers render on top
+        this.layer = 0;        // Render layer (0-31) matched against camera layer masks
         this.visible = true;
         this.alpha = 1;
-        this.rotation = 0;
+        this.rotation = 0;     // Radians, clockwise on screen
         this.scale = { x: 1, y: 1 };
 
         // State
@@ -27,9 +39,18 @@ class Entity {
 
         // Sprite/Animation
         this.sprite = null;
+        this.assetKeys = [];             // Assets this entity holds a reference to (released on destroy)
+        this.spriteSheet = null;
+        this.spriteFrame = 0;            // Sheet frame shown when no animation is playing
+        this.animations = new Map();     // Clip name -> Animation
         this.currentAnimation = null;
-        this.animationFrame = 0;
+        this.animationFrame = 0;         // Position within the current clip
         this.animationTimer = 0;
+        this.animationDirection = 1;     // -1 while a ping-pong clip plays backwards
+        this.animationSpeed = 1;
+        this.animationFinished = false;
+        this.animationCallbacks = {};    // onComplete/onFrame for the current play
+        this.animationStateMachine = null; // Created by the first addAnimationState/Transition
 
         // Collision
         this.solid = false;
@@ -40,10 +61,60 @@ class Entity {
             height: 0,
             offset: { x: 0, y: 0 }
         };
+        this.collisionResponse = 'slide';  // What solid entities do when a wall stops their velocity: 'stop', 'slide' or 'bounce'
+        this.restitution = 1;              // Share of speed kept when bouncing
 
         // Script management
         this.scripts = new Map(); // Store active scripts
         this.scriptInstances = new Map(); // Store script instance data
+
+        // Data components (component class -> instance), queried by scene systems
+        this.components = new Map();
+
+        // Ownership (scene is set by Scene.addEntity)
+        this.scene = null;
+        this.ownerEngine = null;
+
+        // Hierarchy: children's x, y, rotation and scale are relative to their parent
+        this.parent = null;
+        this.children = [];
+
+        // Lifecycle
+        this.destroyed = false;
+        this.timeToLive = null;          // Seconds left before auto-destroy (null = forever)
+        this.destroyOutOfBounds = false; // Destroy when leaving the scene's map
+    }
+
+    /**
+     * Engine this entity belongs to: an explicitly assigned engine, then the
+     * engine owning its scene (null until it is in a scene of an engine)
+     * @returns {Engine|null}
+     */
+    get engine() {
+        return this.ownerEngine || this.scene?.engine || this.parent?.engine || null;
+    }
+
+    /**
+     * Assign the owning engine explicitly
+     * @param {Engine} engine 
+     */
+    set engine(engine) {
+        this.ownerEngine = engine;
+    }
+
+    /**
+     * Get the engine, failing clearly for entities that don't belong to one yet
+     * @param {string} action - What needs the engine, for the error message
+     * @returns {Engine}
+     * @throws {Error} If the entity has no engine
+     * @private
+     */
+    requireEngine(action) {
+        const engine = this.engine;
+        if (!engine) {
+            throw new Error(`Cannot ${action}: entity ${this.id} has no engine yet (add it to a scene of an engine, or set entity.engine)`);
+        }
+        return engine;
     }
 
     /**
@@ -53,9 +124,11 @@ class Entity {
      */
     async attachScript(scriptName) {
         try {
+            const engine = this.requireEngine(`attach script ${scriptName}`);
+
             // If script isn't loaded yet, load it
-            if (!window.engine.isScriptLoaded(scriptName)) {
-                const success = await window.engine.loadScript(scriptName);
+            if (!engine.isScriptLoaded(scriptName)) {
+                const success = await engine.loadScript(scriptName);
                 if (!success) {
                     throw new Error(`Failed to load script: ${scriptName}`);
                 }
@@ -67,9 +140,12 @@ class Entity {
                 return this.scripts.get(scriptName);
             }
 
-            // Get script class and create instance
-            const ScriptClass = window.engine.scripts.get(scriptName);
-            const scriptInstance = new ScriptClass(this);
+            // Get script class and create instance with its context
+            const ScriptClass = engine.scripts.get(scriptName);
+            const scriptInstance = new ScriptClass(this, {
+                engine,
+                scene: this.scene
+            });
             this.scripts.set(scriptName, scriptInstance);
 
             // Initialize if it has init method
@@ -77,10 +153,12 @@ class Entity {
                 await scriptInstance.init();
             }
 
-            if (window.engine.debug.enabled) {
-                window.engine.debug.trackObject(scriptName, scriptInstance);
+            if (engine.debug.enabled) {
+                engine.debug.trackObject(scriptName, scriptInstance);
             }
 
+            this.emitEvent('scriptAttached', { entity: this, scriptName, script: scriptInstance });
+
             return scriptInstance;
         } catch (error) {
             console.error(`Error attaching script ${scriptName}:`, error);
@@ -95,11 +173,153 @@ class Entity {
     async detachScript(scriptName) {
         const script = this.scripts.get(scriptName);
         if (script) {
-            // Call cleanup method if it exists
+            // Call cleanup method if it exists (destroy doesn't await this, so don't let it reject)
             if (typeof script.onDetach === 'function') {
-                await script.onDetach();
+                try {
+                    await script.onDetach();
+                } catch (error) {
+                    console.error(`Error in ${scriptName}.onDetach:`, error);
+                }
             }
             this.scripts.delete(scriptName);
+
+            // Drop event subscriptions the script registered with { owner: this }
+            this.engine?.offOwnerEverywhere(script);
+            this.scene?.offOwner(script);
+
+            this.emitEvent('scriptDetached', { entity: this, scriptName, script });
+        }
+    }
+
+    /**
+     * Destroy the entity: it stops updating and rendering immediately and is
+     * removed from its scene at the end of the frame
+     */
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+
+        if (this.scene) {
+            this.scene.queueDestroy(this);
+        } else {
+            this.finalizeDestroy();
+        }
+    }
+
+    /**
+     * Animate this entity's properties (cancelled automatically when it is destroyed)
+     * @param {Object} properties - End values, e.g. { x: 200, alpha: 0, scale: 2 }
+     * @param {number} duration - Seconds
+     * @param {string|Function} easing - Easing name or function
+     * @param {Object} options - See Engine.tween
+     * @returns {Tween|null} Running tween, or null without an engine
+     */
+    tween(properties, duration, easing = 'linear', options = {}) {
+        return this.engine?.tween(this, properties, duration, easing, options) ?? null;
+    }
+
+    /**
+     * Animate this entity's properties through keyframes
+     * @param {Object} tracks - Property name -> [{ time, value, easing }]
+     * @param {Object} options - See Engine.keyframes
+     * @returns {KeyframeAnimation|null} Running animation, or null without an engine
+     */
+    keyframes(tracks, options = {}) {
+        return this.engine?.keyframes(this, tracks, options) ?? null;
+    }
+
+    /**
+     * Play a sound that follows this entity (see Engine.playSpatialSound)
+     * @param {string} name - Clip name
+     * @param {Object} options - falloff, curve, occlusion, volume, loop, ...
+     * @returns {Sound|null} The playing voice
+     */
+    playSound(name, options = {}) {
+        return this.engine?.playSpatialSound(name, { ...options, entity: this }) ?? null;
+    }
+
+    /**
+     * Destroy the entity after a delay
+     * @param {number} seconds - Time to live in seconds
+     */
+    destroyAfter(seconds) {
+        this.timeToLive = seconds;
+    }
+
+    /**
+     * Count down the time to live and destroy the entity when it runs out
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    updateLifetime(deltaTime) {
+        if (this.timeToLive === null || this.destroyed) return;
+
+        this.timeToLive -= deltaTime;
+        if (this.timeToLive <= 0) {
+            this.destroy();
+        }
+    }
+
+    /**
+     * Tear down a destroyed entity: notify and detach scripts, stop debug tracking
+     * @returns {Promise<void>}
+     * @private
+     */
+    async finalizeDestroy() {
+        // Keep script cleanup pointed at the right engine once we leave the scene
+        this.ownerEngine = this.engine;
+
+        if (this.parent) {
+            this.parent.removeChild(this);
+        } else if (this.scene) {
+            this.scene.removeEntity(this);
+        }
+
+        // Children go down with their parent
+        for (const child of this.children.slice()) {
+            child.destroyed = true;
+            child.finalizeDestroy();
+        }
+
+        for (const [scriptName, script] of Array.from(this.scripts)) {
+            if (typeof script.onDestroy === 'function') {
+                try {
+                    await script.onDestroy();
+                } catch (error) {
+                    console.error(`Error in ${scriptName}.onDestroy:`, error);
+                }
+            }
+
+            this.engine?.debug.untrackObject(scriptName, script);
+            await this.detachScript(scriptName);
+        }
+
+        this.engine?.cancelTweens(this);
+        this.releaseAssets();
+
+        if (this.animationStateMachine) {
+            this.engine?.debug.untrackObject(this.getAnimatorDebugKey(), this.animationStateMachine);
+        }
+    }
+
+    /**
+     * Called when the entity (or an ancestor) is added to a scene
+     * @param {Scene} scene
+     */
+    onAdded(scene) {
+        // Animation states are usually declared before the entity had an engine
+        this.trackAnimator();
+    }
+
+    /**
+     * Emit an event through this entity's scene (or engine when not in a scene)
+     * @param {string} event - Event name
+     * @param {Object} payload - Event data
+     */
+    emitEvent(event, payload) {
+        if (this.scene) {
+            this.scene.emitEvent(event, { ...payload, scene: this.scene });
+        } else {
+            this.engine?.emit(event, payload);
         }
     }
 
@@ -118,27 +338,618 @@ class Entity {
         }
 
         // Update position based on velocity
-        this.x += this.velocityX * deltaTime;
-        this.y += this.velocityY * deltaTime;
+        this.applyVelocity(deltaTime);
 
-        // Update animation if one is playing
+        // Pick the animation state, then advance the playing clip
+        if (this.animationStateMachine) {
+            this.animationStateMachine.update(deltaTime);
+        }
         if (this.currentAnimation) {
             this.updateAnimation(deltaTime);
         }
     }
 
+    /**
+     * Remember the current position as the start of the next fixed update.
+     * Call this after teleporting an entity so it doesn't visibly slide.
+     */
+    storePreviousTransform() {
+        this.previousX = this.x;
+        this.previousY = this.y;
+
+        for (const child of this.children) {
+            child.storePreviousTransform();
+        }
+    }
+
+    /**
+     * Attach a child entity that follows this entity's transform
+     * @param {Entity} child - Entity to attach (removed from its previous parent or scene)
+     * @returns {Entity} The child
+     */
+    addChild(child) {
+        if (child === this || child.isAncestorOf(this)) {
+            throw new Error('Cannot parent an entity to itself or one of its descendants');
+        }
+
+        if (child.parent) {
+            child.parent.removeChild(child);
+        } else if (child.scene?.entities.has(child)) {
+            child.scene.removeEntity(child);
+        }
+
+        child.parent = this;
+        this.children.push(child);
+        if (this.scene) {
+            this.scene.indexEntity(child);
+        }
+        return child;
+    }
+
+    /**
+     * Detach a child entity (it keeps its local transform values)
+     * @param {Entity} child - Child to detach
+     */
+    removeChild(child) {
+        const index = this.children.indexOf(child);
+        if (index === -1) return;
+
+        this.children.splice(index, 1);
+        child.parent = null;
+        if (child.scene) {
+            child.scene.unindexEntity(child);
+        }
+    }
+
+    /**
+     * Check if this entity is a parent, grandparent, ... of another
+     * @param {Entity} entity 
+     * @returns {boolean}
+     */
+    isAncestorOf(entity) {
+        for (let current = entity.parent; current; current = current.parent) {
+            if (current === this) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Update children after this entity has updated
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    updateChildren(deltaTime) {
+        // Copy so children can be added or removed while updating
+        for (const child of this.children.slice()) {
+            if (!child.active || child.destroyed) continue;
+            child.update(deltaTime);
+            child.updateLifetime(deltaTime);
+            child.updateChildren(deltaTime);
+        }
+    }
+
+    /**
+     * Rotation in radians (same as rotation)
+     * @returns {number}
+     */
+    get rotationRadians() {
+        return this.rotation;
+    }
+
+    set rotationRadians(radians) {
+        this.rotation = radians;
+    }
+
+    /**
+     * Rotation in degrees
+     * @returns {number}
+     */
+    get rotationDegrees() {
+        return radiansToDegrees(this.rotation);
+    }
+
+    set rotationDegrees(degrees) {
+        this.rotation = degreesToRadians(degrees);
+    }
+
+    /**
+     * Get the world-space angle from this entity to a point or entity
+     * @param {{x: number, y: number}|Entity} target 
+     * @returns {number} Angle in radians
+     */
+    angleTo(target) {
+        const from = this.getWorldPosition();
+        const to = typeof target.getWorldPosition === 'function' ? target.getWorldPosition() : target;
+        return angleBetween(from.x, from.y, to.x, to.y);
+    }
+
+    /**
+     * Turn to face a point or entity
+     * @param {{x: number, y: number}|Entity} target 
+     */
+    lookAt(target) {
+        this.rotation = this.angleTo(target) - this.getParentWorldRotation();
+    }
+
+    /**
+     * Turn towards a point, entity or world angle by at most maxStep radians
+     * @param {{x: number, y: number}|Entity|number} target - Point, entity, or world angle in radians
+     * @param {number} maxStep - Largest rotation allowed this call, in radians
+     */
+    rotateTowards(target, maxStep) {
+        const parentRotation = this.getParentWorldRotation();
+        const targetAngle = typeof target === 'number' ? target : this.angleTo(target);
+        this.rotation = rotateTowards(this.rotation + parentRotation, targetAngle, maxStep) - parentRotation;
+    }
+
+    /**
+     * Get the combined world rotation of this entity's ancestors
+     * @returns {number} Radians
+     */
+    getParentWorldRotation() {
+        return this.parent ? this.parent.getWorldTransform().rotation : 0;
+    }
+
+    /**
+     * Apply this entity's local transform to a canvas context
+     * @param {CanvasRenderingContext2D} ctx 
+     */
+    applyTransform(ctx) {
+        ctx.translate(this.x, this.y);
+        ctx.rotate(this.rotation);
+        ctx.scale(this.scale.x, this.scale.y);
+    }
+
+    /**
+     * Get the entity's transform in world space
+     * @returns {{x: number, y: number, rotation: number, scaleX: number, scaleY: number}}
+     */
+    getWorldTransform() {
+        if (!this.parent) {
+            return {
+                x: this.x,
+                y: this.y,
+                rotation: this.rotation,
+                scaleX: this.scale.x,
+                scaleY: this.scale.y
+            };
+        }
+
+        const parent = this.parent.getWorldTransform();
+        const position = this.parent.localToWorld(this.x, this.y);
+        return {
+            x: position.x,
+            y: position.y,
+            rotation: parent.rotation + this.rotation,
+            scaleX: parent.scaleX * this.scale.x,
+            scaleY: parent.scaleY * this.scale.y
+        };
+    }
+
+    /**
+     * Get the entity's position in world space
+     * @returns {{x: number, y: number}}
+     */
+    getWorldPosition() {
+        return this.parent ? this.parent.localToWorld(this.x, this.y) : { x: this.x, y: this.y };
+    }
+
+    /**
+     * Move the entity to a world position, whatever its parent
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     */
+    setWorldPosition(x, y) {
+        const local = this.parent ? this.parent.worldToLocal(x, y) : { x, y };
+        this.x = local.x;
+        this.y = local.y;
+    }
+
+    /**
+     * Convert a point from this entity's local space to world space
+     * @param {number} x - Local X coordinate
+     * @param {number} y - Local Y coordinate
+     * @returns {{x: number, y: number}}
+     */
+    localToWorld(x, y) {
+        const transform = this.getWorldTransform();
+        const cos = Math.cos(transform.rotation);
+        const sin = Math.sin(transform.rotation);
+        const scaledX = x * transform.scaleX;
+        const scaledY = y * transform.scaleY;
+
+        return {
+            x: transform.x + scaledX * cos - scaledY * sin,
+            y: transform.y + scaledX * sin + scaledY * cos
+        };
+    }
+
+    /**
+     * Convert a point from world space to this entity's local space
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @returns {{x: number, y: number}}
+     */
+    worldToLocal(x, y) {
+        const transform = this.getWorldTransform();
+        const cos = Math.cos(transform.rotation);
+        const sin = Math.sin(transform.rotation);
+        const dx = x - transform.x;
+        const dy = y - transform.y;
+
+        return {
+            x: (dx * cos + dy * sin) / transform.scaleX,
+            y: (-dx * sin + dy * cos) / transform.scaleY
+        };
+    }
+
     /**
      * Update animation frame
      * @param {number} deltaTime - Time since last frame in seconds
      */
     updateAnimation(deltaTime) {
-        if (!this.currentAnimation) return;
+        const animation = this.currentAnimation;
+        if (!animation || this.animationFinished) return;
+
+        this.animationTimer += deltaTime * this.animationSpeed;
+
+        // Long frames (or slow machines) may need to skip several frames at once
+        let duration = animation.getFrameDuration(this.animationFrame, this.spriteSheet);
+        while (duration > 0 && this.animationTimer >= duration) {
+            this.animationTimer -= duration;
+            if (!this.advanceAnimationFrame()) break;
+            duration = animation.getFrameDuration(this.animationFrame, this.spriteSheet);
+        }
+    }
+
+    /**
+     * Step the current animation to its next frame according to its mode
+     * @returns {boolean} False once a 'once' clip has finished
+     * @private
+     */
+    advanceAnimationFrame() {
+        const animation = this.currentAnimation;
+        const lastFrame = animation.frames.length - 1;
+        let next = this.animationFrame + this.animationDirection;
+
+        if (next > lastFrame || next < 0) {
+            if (animation.mode === 'loop') {
+                next = 0;
+            } else if (animation.mode === 'pingpong') {
+                this.animationDirection = -this.animationDirection;
+                next = Math.max(0, Math.min(lastFrame, this.animationFrame + this.animationDirection));
+            } else {
+                this.animationFinished = true;
+                this.animationTimer = 0;
+
+                const onComplete = this.animationCallbacks.onComplete;
+                this.emitEvent('animationComplete', { entity: this, animation: animation.name });
+                if (onComplete) onComplete(this, animation.name);
+                return false;
+            }
+        }
+
+        this.animationFrame = next;
+        this.fireAnimationFrameEvents();
+        return true;
+    }
+
+    /**
+     * Notify listeners that a new animation frame is showing
+     * @private
+     */
+    fireAnimationFrameEvents() {
+        const animation = this.currentAnimation;
+        const event = animation.events[this.animationFrame];
+
+        if (this.animationCallbacks.onFrame) {
+            this.animationCallbacks.onFrame(this.animationFrame, event || null);
+        }
+        if (event) {
+            this.emitEvent('animationEvent', {
+                entity: this,
+                animation: animation.name,
+                frame: this.animationFrame,
+                event
+            });
+        }
+    }
+
+    /**
+     * Use a sprite sheet for rendering (sizes the entity to a frame if it has no size yet)
+     * @param {SpriteSheet} sheet 
+     */
+    setSpriteSheet(sheet) {
+        this.spriteSheet = sheet;
+
+        const frame = sheet.getFrame(0);
+        if (frame && !this.width && !this.height) {
+            this.width = frame.sourceWidth;
+            this.height = frame.sourceHeight;
+        }
+
+        // Clips shipped with the sheet (Aseprite frame tags)
+        for (const [name, options] of Object.entries(sheet.clips)) {
+            if (!this.animations.has(name)) {
+                this.addAnimation(name, options);
+            }
+        }
+    }
 
-        this.animationTimer += deltaTime;
-        if (this.animationTimer >= this.currentAnimation.frameTime) {
-            this.animationFrame = (this.animationFrame + 1) % this.currentAnimation.frames.length;
-            this.animationTimer = 0;
+    /**
+     * Load a sprite sheet image and slice it (through the engine's asset manager)
+     * @param {string} imagePath - Path to the sheet image
+     * @param {Object|string} layout - Grid options, a parsed atlas, or a path to atlas JSON
+     * @returns {Promise<SpriteSheet>}
+     * @throws {AssetError} If the image or atlas can't be loaded
+     */
+    async loadSpriteSheet(imagePath, layout) {
+        const assets = this.requireEngine('load sprite sheet').assets;
+        const sheet = await SpriteSheet.load(imagePath, layout, assets);
+        this.assetKeys.push(imagePath);
+        if (typeof layout === 'string') {
+            this.assetKeys.push(layout);
+        }
+        this.setSpriteSheet(sheet);
+        return sheet;
+    }
+
+    /**
+     * Release the assets this entity loaded
+     * @private
+     */
+    releaseAssets() {
+        const assets = this.engine?.assets;
+        for (const key of this.assetKeys) {
+            assets?.release(key);
+        }
+        this.assetKeys = [];
+    }
+
+    /**
+     * Register an animation clip
+     * @param {string} name - Clip name used by playAnimation
+     * @param {Animation|Object} animation - Animation or options for one
+     * @returns {Animation}
+     */
+    addAnimation(name, animation) {
+        if (!(animation instanceof Animation)) {
+            animation = new Animation(animation);
+        }
+        animation.name = name;
+        this.animations.set(name, animation);
+        return animation;
+    }
+
+    /**
+     * Play a registered animation clip
+     * @param {string} name - Clip name
+     * @param {Object} options - restart (replay if already playing), speed, onComplete, onFrame
+     * @returns {boolean} False if the clip doesn't exist
+     */
+    playAnimation(name, options = {}) {
+        const animation = this.animations.get(name);
+        if (!animation) {
+            console.warn(`Animation ${name} does not exist on this entity`);
+            return false;
+        }
+
+        // Keep playing the same clip unless asked to restart
+        if (this.currentAnimation === animation && !this.animationFinished && !options.restart) {
+            return true;
+        }
+
+        this.currentAnimation = animation;
+        this.animationFrame = 0;
+        this.animationTimer = 0;
+        this.animationDirection = 1;
+        this.animationSpeed = options.speed ?? 1;
+        this.animationFinished = false;
+        this.animationCallbacks = {
+            onComplete: options.onComplete || null,
+            onFrame: options.onFrame || null
+        };
+
+        this.fireAnimationFrameEvents();
+        return true;
+    }
+
+    /**
+     * Get this entity's animation state machine, creating it on first use
+     * @returns {AnimationStateMachine}
+     */
+    getAnimator() {
+        if (!this.animationStateMachine) {
+            this.animationStateMachine = new AnimationStateMachine(this);
+            this.trackAnimator();
+        }
+        return this.animationStateMachine;
+    }
+
+    /**
+     * Show the animation state machine in the debug console once there is an engine
+     * @private
+     */
+    trackAnimator() {
+        const debug = this.engine?.debug;
+        const key = this.getAnimatorDebugKey();
+        if (this.animationStateMachine && debug && debug.trackedObjects.get(key) !== this.animationStateMachine) {
+            debug.trackObject(key, this.animationStateMachine);
+        }
+    }
+
+    /**
+     * Debug console key for this entity's animation state machine
+     * @returns {string}
+     * @private
+     */
+    getAnimatorDebugKey() {
+        return `animator:${this.name || this.id}`;
+    }
+
+    /**
+     * Declare an animation state
+     * @param {string} name - State name
+     * @param {Object} options - animation (clip name, defaults to name), speed, onEnter, onExit
+     * @returns {Object} The state
+     */
+    addAnimationState(name, options = {}) {
+        return this.getAnimator().addState(name, options);
+    }
+
+    /**
+     * Declare a transition between animation states
+     * @param {string} from - Source state, or '*' for any state
+     * @param {string} to - Target state
+     * @param {Function|Object} condition - Predicate or parameter values to match
+     * @param {Object} options - priority, exitTime
+     * @returns {Object} The transition
+     */
+    addAnimationTransition(from, to, condition, options = {}) {
+        return this.getAnimator().addTransition(from, to, condition, options);
+    }
+
+    /**
+     * Set an animation state machine parameter
+     * @param {string} name 
+     * @param {any} value 
+     */
+    setAnimationParameter(name, value) {
+        this.getAnimator().setParameter(name, value);
+    }
+
+    /**
+     * Fire a one-shot animation state machine trigger
+     * @param {string} name 
+     */
+    triggerAnimation(name) {
+        this.getAnimator().trigger(name);
+    }
+
+    /**
+     * Get the current animation state name
+     * @returns {string|null}
+     */
+    getAnimationState() {
+        return this.animationStateMachine?.currentState ?? null;
+    }
+
+    /**
+     * Stop the current animation, keeping its current frame on screen
+     */
+    stopAnimation() {
+        if (this.currentAnimation) {
+            this.spriteFrame = this.currentAnimation.frames[this.animationFrame];
         }
+        this.currentAnimation = null;
+        this.animationCallbacks = {};
+    }
+
+    /**
+     * Get the sheet frame that should be drawn now
+     * @returns {Object|null} Frame rectangle, or null without a sprite sheet
+     */
+    getCurrentFrame() {
+        if (!this.spriteSheet) return null;
+
+        const frame = this.currentAnimation
+            ? this.currentAnimation.frames[this.animationFrame]
+            : this.spriteFrame;
+        return this.spriteSheet.getFrame(frame);
+    }
+
+    /**
+     * Draw the current sheet frame or sprite centered on the origin
+     * @param {CanvasRenderingContext2D} ctx 
+     * @returns {boolean} False if there was nothing to draw
+     */
+    drawSprite(ctx) {
+        const frame = this.getCurrentFrame();
+        if (frame) {
+            // Stretch the untrimmed frame size over the entity's size
+            const scaleX = this.width / frame.sourceWidth;
+            const scaleY = this.height / frame.sourceHeight;
+            ctx.drawImage(
+                this.spriteSheet.image,
+                frame.x,
+                frame.y,
+                frame.width,
+                frame.height,
+                -this.width / 2 + frame.offsetX * scaleX,
+                -this.height / 2 + frame.offsetY * scaleY,
+                frame.width * scaleX,
+                frame.height * scaleY
+            );
+            return true;
+        }
+
+        if (this.sprite) {
+            // Draw the sprite centered on the entity's position
+            ctx.drawImage(
+                this.sprite,
+                -this.width / 2,
+                -this.height / 2,
+                this.width,
+                this.height
+            );
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Add a data component to this entity
+     * @param {Function} ComponentType - Component class, instantiated without arguments
+     * @param {Object} data - Initial values assigned onto the component
+     * @returns {Object} The component instance
+     */
+    addComponent(ComponentType, data = {}) {
+        if (typeof ComponentType !== 'function') {
+            throw new TypeError('addComponent expects a component class');
+        }
+
+        // Adding an existing component just updates its values
+        if (this.components.has(ComponentType)) {
+            return Object.assign(this.components.get(ComponentType), data);
+        }
+
+        const component = Object.assign(new ComponentType(), data);
+        this.components.set(ComponentType, component);
+        this.scene?.registerComponent(this, ComponentType);
+        this.emitEvent('componentAdded', { entity: this, type: ComponentType, component });
+
+        return component;
+    }
+
+    /**
+     * Remove a data component from this entity
+     * @param {Function} ComponentType - Component class
+     */
+    removeComponent(ComponentType) {
+        const component = this.components.get(ComponentType);
+        if (!component) return;
+
+        this.components.delete(ComponentType);
+        this.scene?.unregisterComponent(this, ComponentType);
+        this.emitEvent('componentRemoved', { entity: this, type: ComponentType, component });
+    }
+
+    /**
+     * Get a data component
+     * @param {Function} ComponentType - Component class
+     * @returns {Object|null}
+     */
+    getComponent(ComponentType) {
+        return this.components.get(ComponentType) || null;
+    }
+
+    /**
+     * Check if the entity has a data component
+     * @param {Function} ComponentType - Component class
+     * @returns {boolean}
+     */
+    hasComponent(ComponentType) {
+        return this.components.has(ComponentType);
     }
 
     /**
@@ -189,24 +1000,134 @@ class Entity {
         this.collisionBounds.height = obj.height;
         this.collisionBounds.offset.x = obj.offset.x;
         this.collisionBounds.offset.y = obj.offset.y;
+        if (obj.radius !== undefined) {
+            this.collisionBounds.radius = obj.radius;
+        }
+    }
+
+    /**
+     * Find what this entity's collider would run into moving by an offset, without moving it
+     * @param {number} dx - World X movement
+     * @param {number} dy - World Y movement
+     * @param {Object} options - Scene.sweepRect options (map and solid entities by default)
+     * @returns {Object|null} The first contact: { time, x, y, normal, entity, surface }
+     */
+    testMove(dx, dy, options = {}) {
+        if (!this.scene) return null;
+
+        const sweepOptions = { entities: true, solidOnly: true, ...options, ignore: [this].concat(options.ignore ?? []) };
+        const bounds = this.collisionBounds;
+        const position = this.getWorldPosition();
+        const left = position.x + bounds.offset.x;
+        const top = position.y + bounds.offset.y;
+
+        if (bounds.radius > 0) {
+            return this.scene.sweepCircle(left + bounds.width / 2, top + bounds.height / 2, bounds.radius, dx, dy, sweepOptions);
+        }
+        return this.scene.sweepRect(left, top, bounds.width, bounds.height, dx, dy, sweepOptions);
+    }
+
+    /**
+     * Move by an offset in world space without passing through solid pixels, tiles or solid entities.
+     * The collider is swept along the whole path, so fast entities can't skip over thin walls
+     * @param {number} dx - World X movement
+     * @param {number} dy - World Y movement
+     * @param {Object} options - response: 'stop' at the contact (default), 'slide' along it or 'bounce' off it;
+     *     restitution: share of speed kept when bouncing (default 1); plus Scene.sweepRect options
+     * @returns {Object|null} The first contact ({ time, x, y, normal, entity, surface }), null if the way was clear
+     */
+    moveAndCollide(dx, dy, options = {}) {
+        const response = options.response ?? 'stop';
+        const restitution = options.restitution ?? 1;
+        const position = this.getWorldPosition();
+        let x = position.x;
+        let y = position.y;
+        let first = null;
+
+        // Each slide or bounce continues with what is left of the movement
+        for (let i = 0; i < Entity.maxCollisionIterations && (dx !== 0 || dy !== 0); i++) {
+            const contact = this.testMove(dx, dy, options);
+            if (!contact) {
+                x += dx;
+                y += dy;
+                break;
+            }
+            first ??= contact;
+
+            // Stop just short of the contact so the next sweep starts outside it
+            const { normal } = contact;
+            x += dx * contact.time + normal.x * Entity.contactOffset;
+            y += dy * contact.time + normal.y * Entity.contactOffset;
+            this.setWorldPosition(x, y);
+            if (response !== 'slide' && response !== 'bounce') break;
+
+            // Remove (slide) or reverse (bounce) the rest of the movement and velocity going into the surface
+            const factor = response === 'bounce' ? 1 + restitution : 1;
+            const remainingX = dx * (1 - contact.time);
+            const remainingY = dy * (1 - contact.time);
+            const into = Math.min(0, remainingX * normal.x + remainingY * normal.y);
+            dx = remainingX - normal.x * into * factor;
+            dy = remainingY - normal.y * into * factor;
+
+            const velocityInto = Math.min(0, this.velocityX * normal.x + this.velocityY * normal.y);
+            this.velocityX -= normal.x * velocityInto * factor;
+            this.velocityY -= normal.y * velocityInto * factor;
+        }
+
+        this.setWorldPosition(x, y);
+        return first;
     }
 
     /**
-     * Check collision with another entity
+     * Move by the velocity for one update. Solid entities in a scene sweep the move like
+     * moveAndCollide, using their collisionResponse and restitution, and get onCollision(hit)
+     * when something stops them. Setting x/y directly (a teleport) is never swept
+     * @param {number} deltaTime - Time since last frame in seconds
+     * @returns {Object|null} The contact that stopped the move, if any
+     */
+    applyVelocity(deltaTime) {
+        if (this.velocityX === 0 && this.velocityY === 0) return null;
+        if (!this.solid || !this.scene) {
+            this.x += this.velocityX * deltaTime;
+            this.y += this.velocityY * deltaTime;
+            return null;
+        }
+
+        // Velocity is in parent space; sweep the matching world movement
+        const start = this.getWorldPosition();
+        this.x += this.velocityX * deltaTime;
+        this.y += this.velocityY * deltaTime;
+        const end = this.getWorldPosition();
+        this.setWorldPosition(start.x, start.y);
+
+        const collision = this.moveAndCollide(end.x - start.x, end.y - start.y, {
+            response: this.collisionResponse,
+            restitution: this.restitution
+        });
+        if (collision && this.onCollision) {
+            this.onCollision(collision);
+        }
+        return collision;
+    }
+
+    /**
+     * Check collision with another entity, comparing collision bounds in world space
      * @param {Entity} other - Entity to check collision with
      * @returns {boolean}
      */
     isColliding(other) {
+        const myPosition = this.getWorldPosition();
+        const otherPosition = other.getWorldPosition();
         const myBounds = {
-            x: this.x + this.collisionBounds.offset.x,
-            y: this.y + this.collisionBounds.offset.y,
+            x: myPosition.x + this.collisionBounds.offset.x,
+            y: myPosition.y + this.collisionBounds.offset.y,
             width: this.collisionBounds.width,
             height: this.collisionBounds.height
         };
 
         const otherBounds = {
-            x: other.x + other.collisionBounds.offset.x,
-            y: other.y + other.collisionBounds.offset.y,
+            x: otherPosition.x + other.collisionBounds.offset.x,
+            y: otherPosition.y + other.collisionBounds.offset.y,
             width: other.collisionBounds.width,
             height: other.collisionBounds.height
         };
@@ -227,21 +1148,10 @@ class Entity {
         ctx.save();
 
         // Apply transformations
-        ctx.translate(this.x, this.y);
-        ctx.rotate(this.rotation * Math.PI / 180);
-        ctx.scale(this.scale.x, this.scale.y);
+        this.applyTransform(ctx);
         ctx.globalAlpha = this.alpha;
 
-        if (this.sprite) {
-            // Draw the sprite centered on the entity's position
-            ctx.drawImage(
-                this.sprite,
-                -this.width / 2,
-                -this.height / 2,
-                this.width,
-                this.height
-            );
-        } else {
+        if (!this.drawSprite(ctx)) {
             // Default rendering if no sprite is loaded
             ctx.fillStyle = '#ff0000';  // Default red color
             ctx.fillRect(
@@ -253,7 +1163,7 @@ class Entity {
         }
 
         // Debug: draw collision bounds if debug is enabled
-        if (window.engine.debug.enabled) {
+        if (this.engine.debug.enabled) {
             ctx.strokeStyle = '#00ff00';
             ctx.lineWidth = 1;
             ctx.strokeRect(
@@ -267,34 +1177,40 @@ class Entity {
         ctx.restore();
     }
 
+    /**
+     * Load a sprite image through the engine's asset manager (shared with other entities)
+     * @param {string} spritePath - Image path
+     * @returns {Promise<HTMLImageElement>}
+     * @throws {AssetError} If the image can't be loaded
+     */
     async loadSprite(spritePath) {
-        try {
-            const image = new Image();
-            image.src = spritePath;
-            await image.decode(); // Ensure the image is fully loaded
+        const image = await this.requireEngine('load sprite').assets.loadImage(spritePath);
+        this.assetKeys.push(spritePath);
 
-            this.sprite = image;
-            this.width = image.width;
-            this.height = image.height;
+        this.sprite = image;
+        this.width = image.width;
+        this.height = image.height;
 
-            console.log(`Sprite loaded: ${spritePath} (${this.width}x${this.height})`);
-        } catch (error) {
-            console.error('Failed to load sprite:', error);
-        }
+        console.log(`Sprite loaded: ${spritePath} (${this.width}x${this.height})`);
+        return image;
     }
 }
 
+// Source of unique, stable entity ids
+Entity.nextId = 1;
+
+// Slides and bounces resolved per moveAndCollide call
+Entity.maxCollisionIterations = 4;
+
+// Gap left between a collider and what stopped it, so rounding can't start the next sweep inside
+Entity.contactOffset = 0.001;
+
 /**
- * Player class - Singleton controller for the player character
+ * Player class - Controller for a player character
  */
-class Player extends Entity {
+export class Player extends Entity {
     constructor(x = 0, y = 0) {
         super(x, y);
-        
-        if (Player.instance) {
-            return Player.instance;
-        }
-        Player.instance = this;
 
         // Player properties
         this.renderOrder = -1;
@@ -325,6 +1241,26 @@ class Player extends Entity {
         this.mouseX = 0;
         this.mouseY = 0;
 
+        // Input is wired up once the player knows its engine
+        this.inputReady = false;
+    }
+
+    /**
+     * Called when the player (or an ancestor) is added to a scene
+     * @param {Scene} scene
+     */
+    onAdded(scene) {
+        super.onAdded(scene);
+        this.setupInput();
+    }
+
+    /**
+     * Set up keyboard and mouse input the first time the player has an engine
+     * @private
+     */
+    setupInput() {
+        if (this.inputReady || !this.engine) return;
+        this.inputReady = true;
         this.setupInputHandlers();
         this.setupMouseTracking();
     }
@@ -333,15 +1269,25 @@ class Player extends Entity {
      * Set up keyboard input handlers
      */
     setupInputHandlers() {
+        if (this.engine?.headless) return;
         window.addEventListener('keydown', (e) => this.handleKeyDown(e));
         window.addEventListener('keyup', (e) => this.handleKeyUp(e));
     }
 
+    /**
+     * Whether input should move this player (not while scenes change, or when its scene isn't current)
+     * @returns {boolean}
+     */
+    acceptsInput() {
+        return this.engine?.canReceiveInput(this.scene) ?? true;
+    }
+
     /**
      * Handle keydown events
      * @param {KeyboardEvent} e 
      */
     handleKeyDown(e) {
+        if (!this.acceptsInput()) return;
         switch(e.key.toLowerCase()) {
             case 'w': case 'arrowup': this.input.up = true; break;
             case 's': case 'arrowdown': this.input.down = true; break;
@@ -368,11 +1314,12 @@ class Player extends Entity {
     }
 
     setupMouseTracking() {
+        if (this.engine?.headless) return;
         window.addEventListener('mousemove', this.updateMousePosition.bind(this));
     }
 
     updateMousePosition(e) {
-        const canvas = window.mainCamera.canvas;
+        const canvas = this.engine.getMainCamera().canvas;
         this.mouseX = e.clientX - canvas.offsetLeft;
         this.mouseY = e.clientY - canvas.offsetTop;
     }
@@ -382,18 +1329,19 @@ class Player extends Entity {
      * @param {number} deltaTime - Time since last frame in seconds
      */
     update(deltaTime) {
-        // Store previous position for collision resolution
-        const previousX = this.x;
-        const previousY = this.y;
+        // Scenes added to an engine after the player joined them
+        this.setupInput();
 
         // Calculate movement based on input
         this.velocityX = 0;
         this.velocityY = 0;
 
-        if (this.input.up) this.velocityY = -this.speed;
-        if (this.input.down) this.velocityY = this.speed;
-        if (this.input.left) this.velocityX = -this.speed;
-        if (this.input.right) this.velocityX = this.speed;
+        // Held keys don't move the player while input is blocked
+        const input = this.acceptsInput() ? this.input : {};
+        if (input.up) this.velocityY = -this.speed;
+        if (input.down) this.velocityY = this.speed;
+        if (input.left) this.velocityX = -this.speed;
+        if (input.right) this.velocityX = this.speed;
 
         // Normalize diagonal movement
         if (this.velocityX !== 0 && this.velocityY !== 0) {
@@ -402,22 +1350,8 @@ class Player extends Entity {
             this.velocityY *= normalizer;
         }
 
-        // Move X and Y separately to allow sliding along walls
-        // Try X movement
-        this.x += this.velocityX * deltaTime;
-        if (this.checkCollision()) {
-            // Collision occurred, revert X movement
-            this.x = previousX;
-            this.velocityX = 0;
-        }
-
-        // Try Y movement
-        this.y += this.velocityY * deltaTime;
-        if (this.checkCollision()) {
-            // Collision occurred, revert Y movement
-            this.y = previousY;
-            this.velocityY = 0;
-        }
+        // Solid, so the move is swept and slides along walls
+        this.applyVelocity(deltaTime);
 
         for (const script of this.scripts.values()) {
             if (typeof script.update === 'function') {
@@ -425,37 +1359,23 @@ class Player extends Entity {
             }
         }
 
-        const screenX = window.mainCamera.canvas.offsetParent.offsetLeft + this.relativeX;
-        const screenY = window.mainCamera.canvas.offsetParent.offsetTop + this.relativeY;
-        // Calculate angle between player's screen position and mouse
-        const dx = this.mouseX - screenX;
-        const dy = this.mouseY - screenY;
-        this.rotation = Math.atan2(dy, dx);
-    }
-
-    /**
-     * Check if player is colliding with the map
-     * @returns {boolean} True if collision detected
-     */
-    checkCollision() {
-        const scene = window.engine.currentScene;
-        if (!scene) return false;
-
-        // Get player's collision bounds in world space
-        const bounds = {
-            x: this.x + this.collisionBounds.offset.x,
-            y: this.y + this.collisionBounds.offset.y,
-            width: this.collisionBounds.width,
-            height: this.collisionBounds.height
-        };
+        if (this.animationStateMachine) {
+            this.animationStateMachine.update(deltaTime);
+        }
+        if (this.currentAnimation) {
+            this.updateAnimation(deltaTime);
+        }
 
-        // Check collision with map
-        return scene.checkRectCollision(
-            bounds.x,
-            bounds.y,
-            bounds.width,
-            bounds.height
-        );
+        // Aim at the mouse (headless cameras have no page position to measure from)
+        const container = this.engine?.getMainCamera()?.canvas.offsetParent;
+        if (container) {
+            const screenX = container.offsetLeft + this.relativeX;
+            const screenY = container.offsetTop + this.relativeY;
+            // Calculate angle between player's screen position and mouse
+            const dx = this.mouseX - screenX;
+            const dy = this.mouseY - screenY;
+            this.rotation = Math.atan2(dy, dx);
+        }
     }
 
     /**
@@ -468,28 +1388,17 @@ class Player extends Entity {
         ctx.save();
 
         // Apply transformations
-        ctx.translate(this.x, this.y);
-        ctx.rotate(this.rotation);
-        ctx.scale(this.scale.x, this.scale.y);
+        this.applyTransform(ctx);
         ctx.globalAlpha = this.alpha;
 
-        if (this.sprite) {
-            // Draw the sprite centered on the player's position
-            ctx.drawImage(
-                this.sprite,
-                -this.width / 2,
-                -this.height / 2,
-                this.width,
-                this.height
-            );
-        } else {
+        if (!this.drawSprite(ctx)) {
             // Default rendering if no sprite is loaded
             ctx.fillStyle = '#0088ff';  // Default blue color for player
             ctx.fillRect(-16, -16, 32, 32);
         }
 
         // Debug: draw collision bounds if debug is enabled
-        if (window.engine?.debug?.enabled) {
+        if (this.engine?.debug?.enabled) {
             ctx.strokeStyle = '#00ff00';
             ctx.lineWidth = 1;
             ctx.strokeRect(
@@ -505,6 +1414,7 @@ class Player extends Entity {
 
     onDetach() {
         // ... existing code ...
+        if (this.engine?.headless) return;
         window.removeEventListener('mousemove', this.updateMousePosition.bind(this));
     }
 }
@@ -0,0 +1,134 @@
+/**
+ * Event emitter used by Engine and Scene for lifecycle events
+ */
+export class EventEmitter {
+    constructor() {
+        // Event name -> listeners sorted by priority (highest first)
+        this.listeners = new Map();
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the event payload
+     * @param {Object} options - Optional priority (higher runs first), once, and owner
+     * @returns {Function} Call to unsubscribe
+     */
+    on(event, handler, options = {}) {
+        if (typeof handler !== 'function') {
+            throw new TypeError(`Handler for "${event}" must be a function`);
+        }
+
+        const listener = {
+            handler,
+            priority: options.priority || 0,
+            once: options.once === true,
+            owner: options.owner || null
+        };
+
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+
+        // Insert after listeners of equal priority so subscription order is kept
+        const list = this.listeners.get(event);
+        let index = list.length;
+        while (index > 0 && list[index - 1].priority < listener.priority) {
+            index--;
+        }
+        list.splice(index, 0, listener);
+
+        // Remove this subscription, not the first one using the same handler
+        return () => this.removeListener(event, listener);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the event payload
+     * @param {Object} options - Optional priority and owner
+     * @returns {Function} Call to unsubscribe
+     */
+    once(event, handler, options = {}) {
+        return this.on(event, handler, { ...options, once: true });
+    }
+
+    /**
+     * Unsubscribe a handler (or every handler when none is given)
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(event, handler) {
+        const list = this.listeners.get(event);
+        if (!list) return;
+
+        if (!handler) {
+            list.forEach(listener => listener.removed = true);
+            this.listeners.delete(event);
+            return;
+        }
+
+        const index = list.findIndex(listener => listener.handler === handler);
+        if (index !== -1) {
+            list[index].removed = true;
+            list.splice(index, 1);
+        }
+    }
+
+    /**
+     * Remove one subscription
+     * @param {string} event - Event name
+     * @param {Object} listener - Listener record created by on()
+     * @private
+     */
+    removeListener(event, listener) {
+        const list = this.listeners.get(event);
+        const index = list ? list.indexOf(listener) : -1;
+        if (index !== -1) {
+            listener.removed = true;
+            list.splice(index, 1);
+        }
+    }
+
+    /**
+     * Remove every subscription registered with the given owner
+     * @param {Object} owner - Owner passed in the on() options (usually a script instance)
+     */
+    offOwner(owner) {
+        for (const [event, list] of this.listeners) {
+            const remaining = list.filter(listener => {
+                if (listener.owner !== owner) return true;
+                listener.removed = true;
+                return false;
+            });
+            if (remaining.length !== list.length) {
+                this.listeners.set(event, remaining);
+            }
+        }
+    }
+
+    /**
+     * Notify subscribers of an event
+     * @param {string} event - Event name
+     * @param {Object} payload - Data passed to each handler
+     */
+    emit(event, payload = {}) {
+        const list = this.listeners.get(event);
+        if (!list || list.length === 0) return;
+
+        // Iterate over a copy so handlers can subscribe/unsubscribe safely,
+        // skipping listeners an earlier handler removed
+        for (const listener of list.slice()) {
+            if (listener.removed) continue;
+            if (listener.once) {
+                this.removeListener(event, listener);
+            }
+
+            try {
+                listener.handler(payload);
+            } catch (error) {
+                console.error(`Error in "${event}" handler:`, error);
+            }
+        }
+    }
+}
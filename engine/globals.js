@@ -0,0 +1,17 @@
+/**
+ * Compatibility shim for code written against the old script-tag globals.
+ * Importing this module installs every engine class on the global object.
+ */
+import * as Bark from './index.js';
+
+/**
+ * Install the engine classes as globals
+ * @param {Object} target Object to install onto (defaults to globalThis)
+ */
+export function installGlobals(target = globalThis) {
+    for (const [name, value] of Object.entries(Bark)) {
+        target[name] = value;
+    }
+}
+
+installGlobals();
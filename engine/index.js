@@ -0,0 +1,36 @@
+/**
+ * Bark Engine public entry point
+ *
+ * Import from here (mapped to 'bark' in index.html):
+ *     import { Engine, Scene, Entity, Camera } from 'bark';
+ */
+export { Debug } from './debug.js';
+export { EventEmitter } from './events.js';
+export { Engine, Override } from './engine.js';
+export { Scene } from './scene.js';
+export { LoadingScene } from './loading.js';
+export { SceneTransition } from './transition.js';
+export { Entity, Player } from './entities.js';
+export { Camera } from './camera.js';
+export { AssetManager, AssetError } from './assets.js';
+export { AudioManager, Sound } from './audio.js';
+export { SpriteSheet, Animation, AnimationStateMachine } from './animation.js';
+export { Tilemap, Tileset, TileLayer, ObjectLayer } from './tilemap.js';
+export { CollisionGrid } from './collision.js';
+export {
+    Easing,
+    Tween,
+    KeyframeAnimation,
+    TweenSequence,
+    TweenGroup,
+    TweenManager
+} from './tween.js';
+export {
+    TAU,
+    degreesToRadians,
+    radiansToDegrees,
+    normalizeAngle,
+    angleDifference,
+    angleBetween,
+    rotateTowards
+} from './angles.js';
@@ -0,0 +1,96 @@
+import { Scene } from './scene.js';
+
+/**
+ * Scene the engine shows while another scene's preload() assets load: a progress bar,
+ * or the error when loading fails
+ */
+export class LoadingScene extends Scene {
+    /**
+     * @param {Object} options - message, backgroundColor, barColor, barBackgroundColor, textColor,
+     *     errorColor, font, barWidth (fraction of the viewport width), barHeight (pixels)
+     */
+    constructor(options = {}) {
+        super();
+
+        // Appearance
+        this.message = options.message || 'Loading';
+        this.backgroundColor = options.backgroundColor || '#1e1e1e';
+        this.barColor = options.barColor || '#f0a030';
+        this.barBackgroundColor = options.barBackgroundColor || '#444444';
+        this.textColor = options.textColor || '#ffffff';
+        this.errorColor = options.errorColor || '#ff6666';
+        this.font = options.font || '16px monospace';
+        this.barWidth = options.barWidth ?? 0.6;
+        this.barHeight = options.barHeight ?? 16;
+
+        // Progress of the current load
+        this.targetId = null;
+        this.progress = 0;       // 0 to 1
+        this.loaded = 0;
+        this.total = 0;
+        this.error = null;
+    }
+
+    /**
+     * Start showing progress for a scene
+     * @param {string} targetId - Scene being loaded
+     */
+    reset(targetId) {
+        this.targetId = targetId;
+        this.progress = 0;
+        this.loaded = 0;
+        this.total = 0;
+        this.error = null;
+    }
+
+    /**
+     * Update from an AssetManager.loadManifest progress report
+     * @param {Object} report - loaded, failed, total, progress
+     */
+    setProgress({ loaded, failed = 0, total, progress }) {
+        this.loaded = loaded + failed;
+        this.total = total;
+        this.progress = progress;
+    }
+
+    /**
+     * Show a loading failure instead of the progress bar
+     * @param {Error} error
+     */
+    setError(error) {
+        this.error = error;
+    }
+
+    renderScreen(ctx, viewport) {
+        const centerX = viewport.width / 2;
+        const centerY = viewport.height / 2;
+
+        ctx.font = this.font;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        if (this.error) {
+            // AssetError messages list one failed asset per line
+            const lines = [`Failed to load ${this.targetId ?? 'scene'}`, ...String(this.error.message).split('\n')];
+            const lineHeight = parseInt(this.font, 10) * 1.5 || 24;
+            ctx.fillStyle = this.errorColor;
+            lines.forEach((line, index) => {
+                ctx.fillText(line.trim(), centerX, centerY + (index - (lines.length - 1) / 2) * lineHeight);
+            });
+            return;
+        }
+
+        const width = viewport.width * this.barWidth;
+        const left = centerX - width / 2;
+        const top = centerY - this.barHeight / 2;
+
+        ctx.fillStyle = this.barBackgroundColor;
+        ctx.fillRect(left, top, width, this.barHeight);
+        ctx.fillStyle = this.barColor;
+        ctx.fillRect(left, top, width * Math.max(0, Math.min(1, this.progress)), this.barHeight);
+
+        ctx.fillStyle = this.textColor;
+        const count = this.total > 0 ? ` (${this.loaded}/${this.total})` : '';
+        ctx.fillText(`${this.message}... ${Math.round(this.progress * 100)}%${count}`, centerX, top - this.barHeight);
+    }
+}
@@ -1,18 +1,56 @@
+import { EventEmitter } from './events.js';
+import { TAU, angleDifference, degreesToRadians } from './angles.js';
+import { CollisionGrid, sweepCircleRect, sweepRectRect } from './collision.js';
+import { Tilemap } from './tilemap.js';
+
 /**
  * Scene class for managing game maps, collisions, and scene-specific logic
+ *
+ * Events: sceneLoaded, sceneExit, sceneLoadError, scenePushed, scenePopped, entityAdded,
+ * entityRemoved, scriptAttached, scriptDetached, componentAdded, componentRemoved, animationEvent,
+ * animationComplete
  */
-class Scene {
+export class Scene extends EventEmitter {
     constructor() {
+        super();
+
         // Map properties
         this.map = null;
         this.mapWidth = 0;
         this.mapHeight = 0;
 
-        // Collision data (Uint8Array for performance)
+        // Tiled map drawn by cameras (replaces map and, without collisionData, its collision)
+        this.tilemap = null;
+
+        // Collision data (Uint8Array for performance): a surface id per pixel, 0 for empty
         this.collisionData = null;
+        this.collisionGrid = null;  // Solid pixels packed for rect, circle and line queries
+
+        // Surface types matched from collision image colors (surfaces[id], set by setCollisionPalette)
+        this.surfaces = [null];
+        this.solidSurfaceIds = new Uint8Array(256);  // Surface id -> 1 if it blocks movement
+        this.setCollisionPalette(Scene.defaultCollisionPalette);
         
+        // Owning engine (set by Engine.addScene)
+        this.engine = null;
+
+        // Assets loaded by this scene, released by unloadAssets()
+        this.assetKeys = [];
+        this.preloaded = false;  // preload() assets are loaded
+
         // Scene entities
         this.entities = new Set();
+        this.entityIndex = new Map(); // Entity id -> entity
+        this.componentIndex = new Map(); // Component class -> Set of entities
+
+        // Systems run after entity updates, highest priority first
+        this.systems = [];
+
+        // Changes requested while entities are being updated, applied after the update
+        this.isUpdating = false;
+        this.pendingAdditions = new Set();
+        this.pendingRemovals = new Set();
+        this.pendingDestroys = new Set();
         
         // Background properties
         this.backgroundColor = '#000000';
@@ -22,54 +60,247 @@ class Scene {
         // Scene state
         this.isActive = false;
         this.isPaused = false;
+        this.visible = true;  // Drawn while in the engine's scene stack
         
         // Scene data storage
         this.sceneData = new Map();
     }
 
+    /**
+     * Asset manager of the engine this scene belongs to
+     * @returns {AssetManager}
+     */
+    get assets() {
+        if (!this.engine) {
+            throw new Error('Add the scene to an engine (engine.addScene) before loading assets');
+        }
+        return this.engine.assets;
+    }
+
     /**
      * Load map and its corresponding collision map
      * @param {string} mapSource - Path to visible map image
      * @param {string} collisionMapSource - Path to collision map image
      * @returns {Promise} Resolves when both maps are loaded
+     * @throws {AssetError} If either image can't be loaded
+     */
+    async loadMap(mapSource, collisionMapSource) {
+        const sources = [mapSource, collisionMapSource];
+        const results = await Promise.allSettled(sources.map(source => this.assets.loadImage(source)));
+
+        // Don't keep one image cached when the other failed
+        const failure = results.find(result => result.status === 'rejected');
+        if (failure) {
+            results.forEach((result, i) => {
+                if (result.status === 'fulfilled') this.assets.release(sources[i]);
+            });
+            throw failure.reason;
+        }
+
+        const [mapImg, collisionImg] = results.map(result => result.value);
+        this.assetKeys.push(mapSource, collisionMapSource);
+
+        this.map = mapImg;
+        this.tilemap = null;
+        this.mapWidth = mapImg.width;
+        this.mapHeight = mapImg.height;
+        this.generateCollisionData(collisionImg);
+    }
+
+    /**
+     * Load a Tiled map (.tmx, .tmj or .json) instead of map images: its tile layers are drawn by
+     * the cameras and its colliding tiles make up the collision map
+     * @param {string} url - Map file
+     * @param {Object} options - spawn: object types to create entities for (see spawnObjects)
+     * @returns {Promise<Tilemap>}
+     * @throws {AssetError} If the map, a tileset or a tileset image fails to load
+     */
+    async loadTilemap(url, options = {}) {
+        // Headless engines can't decode images but still get layers, collision and objects
+        const tilemap = await Tilemap.load(url, this.assets, { loadImages: !this.engine.headless });
+        this.assetKeys.push(...tilemap.assetKeys);
+        this.setTilemap(tilemap);
+
+        if (options.spawn) {
+            await this.spawnObjects(options.spawn);
+        }
+        return tilemap;
+    }
+
+    /**
+     * Use a tilemap as this scene's map
+     * @param {Tilemap} tilemap
+     */
+    setTilemap(tilemap) {
+        this.tilemap = tilemap;
+        this.map = null;
+        this.collisionData = null;
+        this.collisionGrid = null;
+        this.collisionMapCache = null;
+        this.mapWidth = tilemap.pixelWidth;
+        this.mapHeight = tilemap.pixelHeight;
+        if (tilemap.backgroundColor) {
+            this.backgroundColor = tilemap.backgroundColor;
+        }
+    }
+
+    /**
+     * Create entities for the tilemap's objects. Each object type (Tiled's Class field) maps to
+     * the script(s) attached to a new entity placed and sized like the object, or to a factory.
+     * Objects of other types are left alone (see tilemap.getObjects()).
+     * @param {Object} types - Type -> script name, array of script names, or
+     *     async (object, scene) => Entity (entities it returns are added to the scene)
+     * @param {string} layerName - Only spawn from this object layer
+     * @returns {Promise<Array<Entity>>} Spawned entities
      */
-    loadMap(mapSource, collisionMapSource) {
-        return new Promise((resolve, reject) => {
-            // Load the visible map
-            const mapImg = new Image();
-            const collisionImg = new Image();
-            let mapsLoaded = 0;
-
-            const checkBothLoaded = () => {
-                mapsLoaded++;
-                if (mapsLoaded === 2) {
-                    // Both images loaded, generate collision data
-                    this.generateCollisionData(collisionImg);
-                    resolve();
+    async spawnObjects(types, layerName = null) {
+        if (!this.tilemap) {
+            console.warn('Cannot spawn objects: no tilemap is loaded');
+            return [];
+        }
+
+        // Imported here because entities.js depends on the engine, which depends on scenes
+        const { Entity } = await import('./entities.js');
+
+        const spawned = [];
+        for (const object of this.tilemap.getObjects({ layer: layerName })) {
+            const spawn = types[object.type];
+            if (!spawn) continue;
+
+            if (typeof spawn === 'function') {
+                const entity = await spawn(object, this);
+                if (entity) {
+                    if (!entity.scene) this.addEntity(entity);
+                    spawned.push(entity);
                 }
-            };
+                continue;
+            }
 
-            // Load visible map
-            mapImg.onload = () => {
-                this.map = mapImg;
-                this.mapWidth = mapImg.width;
-                this.mapHeight = mapImg.height;
-                checkBothLoaded();
+            const center = this.tilemap.getObjectCenter(object);
+            const entity = new Entity(center.x, center.y);
+            entity.name = object.name || null;
+            entity.width = object.width;
+            entity.height = object.height;
+            entity.rotation = degreesToRadians(object.rotation);
+            entity.visible = object.visible;
+            entity.collisionBounds = {
+                x: 0,
+                y: 0,
+                width: object.width,
+                height: object.height,
+                offset: { x: -object.width / 2, y: -object.height / 2 }
             };
-            mapImg.onerror = reject;
+            entity.addTag(object.type);
+            for (const [key, value] of Object.entries(object.properties)) {
+                entity.setData(key, value);
+            }
+            entity.setData('tiledObject', object);
 
-            // Load collision map
-            collisionImg.onload = () => {
-                checkBothLoaded();
-            };
-            collisionImg.onerror = reject;
+            this.addEntity(entity);
+            for (const scriptName of [].concat(spawn)) {
+                await entity.attachScript(scriptName);
+            }
+            spawned.push(entity);
+        }
+        return spawned;
+    }
+
+    /**
+     * Load a manifest of assets for this scene (see AssetManager.loadManifest)
+     * @param {Object|Array|string} manifest - Manifest object, entry list or JSON URL
+     * @param {Object} options - onProgress({ loaded, failed, total, progress, key })
+     * @returns {Promise<Object>} Key -> data
+     * @throws {AssetError} Listing every asset that failed
+     */
+    async loadAssets(manifest, options = {}) {
+        const results = await this.assets.loadManifest(manifest, options);
+        this.assetKeys.push(...Object.keys(results));
+        return results;
+    }
+
+    /**
+     * Get an asset loaded by this (or any) scene
+     * @param {string} key
+     * @returns {any}
+     * @throws {AssetError} If the asset isn't loaded
+     */
+    getAsset(key) {
+        return this.assets.get(key);
+    }
+
+    /**
+     * Release every asset this scene loaded; assets nothing else uses are unloaded
+     */
+    unloadAssets() {
+        for (const key of this.assetKeys) {
+            this.assets.release(key);
+        }
+        this.assetKeys = [];
+        this.preloaded = false;
+    }
+
+    /**
+     * Override to declare assets the engine loads, behind its loading scene, before
+     * this scene is entered
+     * @returns {Object|Array|string|Promise|null} Anything loadAssets accepts, or null for nothing
+     */
+    preload() {
+        return null;
+    }
+
+    /**
+     * Choose which collision image colors are which surfaces. Call before loading the map;
+     * each entry becomes a surface type returned by getSurfaceAt.
+     * @param {Array<Object>} palette - Entries of { color, type, tolerance, solid, ...properties }:
+     *     color is '#rgb', '#rrggbb', 0xrrggbb or [r, g, b]; type names the surface ('solid', 'water',
+     *     'oneWay', 'damage', 'slow', 'trigger' or your own); tolerance is the allowed difference per
+     *     channel (a number or [r, g, b], default 8); solid defaults to true for 'solid' only.
+     *     Other properties (damage, speed, trigger...) are kept on the surface.
+     */
+    setCollisionPalette(palette) {
+        if (palette.length > 255) {
+            throw new Error(`Collision palettes hold up to 255 colors, got ${palette.length}`);
+        }
+        if (this.collisionData) {
+            console.warn('Collision palette changed after the collision map was loaded; reload the map to apply it');
+        }
 
-            // Start loading both images
-            mapImg.src = mapSource;
-            collisionImg.src = collisionMapSource;
+        this.surfaces = [null];
+        this.solidSurfaceIds = new Uint8Array(256);
+        palette.forEach((entry, index) => {
+            const { color, type = 'solid', tolerance = 8, solid = type === 'solid', ...properties } = entry;
+            const rgb = parseColor(color);
+            const surface = {
+                ...properties,
+                id: index + 1,
+                type,
+                color: '#' + rgb.map(channel => channel.toString(16).padStart(2, '0')).join(''),
+                rgb,
+                tolerance: Array.isArray(tolerance) ? tolerance : [tolerance, tolerance, tolerance],
+                solid
+            };
+            this.surfaces.push(surface);
+            this.solidSurfaceIds[surface.id] = solid ? 1 : 0;
         });
     }
 
+    /**
+     * Find the first palette surface a color matches
+     * @returns {number} Surface id, 0 if none
+     * @private
+     */
+    matchSurface(r, g, b) {
+        for (let id = 1; id < this.surfaces.length; id++) {
+            const { rgb, tolerance } = this.surfaces[id];
+            if (Math.abs(r - rgb[0]) <= tolerance[0] &&
+                Math.abs(g - rgb[1]) <= tolerance[1] &&
+                Math.abs(b - rgb[2]) <= tolerance[2]) {
+                return id;
+            }
+        }
+        return 0;
+    }
+
     /**
      * Generate collision data from collision image
      * @param {HTMLImageElement} collisionImg - The collision map image
@@ -85,21 +316,58 @@ class Scene {
 
         // Get raw pixel data
         const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        const pixels = imageData.data;
+        this.loadCollisionPixels(imageData.data, canvas.width, canvas.height);
+    }
+
+    /**
+     * Build collision data from a raw RGBA pixel buffer (no DOM required)
+     * @param {Uint8ClampedArray|Uint8Array|Array<number>} pixels - RGBA bytes, 4 per pixel
+     * @param {number} width - Collision map width in pixels
+     * @param {number} height - Collision map height in pixels
+     */
+    loadCollisionPixels(pixels, width, height) {
+        if (pixels.length !== width * height * 4) {
+            throw new Error(`Collision buffer is ${pixels.length} bytes, expected ${width * height * 4} for ${width}x${height}`);
+        }
+
+        // Maps loaded without an image take their size from the collision buffer
+        if (!this.map) {
+            this.mapWidth = width;
+            this.mapHeight = height;
+        }
 
         // Create collision data array (1 byte per pixel)
-        this.collisionData = new Uint8Array(canvas.width * canvas.height);
+        this.collisionData = new Uint8Array(width * height);
+        this.collisionMapCache = null;
 
-        // Check each pixel's collision status
+        // Match each pixel against the palette, once per distinct color
+        const matches = new Map();  // Packed RGB -> surface id
         for (let i = 0; i < pixels.length; i += 4) {
             const r = pixels[i];
             const g = pixels[i + 1];
             const b = pixels[i + 2];
-            
-            // Check if pixel is red (or nearly red to account for compression)
-            const isRed = r > 200 && g < 10 && b < 10;
-            this.collisionData[i/4] = isRed ? 1 : 0;
+            const key = (r << 16) | (g << 8) | b;
+
+            let id = matches.get(key);
+            if (id === undefined) {
+                id = this.matchSurface(r, g, b);
+                matches.set(key, id);
+            }
+            this.collisionData[i/4] = id;
         }
+
+        this.buildCollisionGrid();
+    }
+
+    /**
+     * Rebuild the collision query structure; call after editing collisionData directly
+     * @returns {CollisionGrid|null}
+     */
+    buildCollisionGrid() {
+        this.collisionGrid = this.collisionData
+            ? CollisionGrid.fromCells(this.collisionData, this.mapWidth, this.mapHeight, this.solidSurfaceIds)
+            : null;
+        return this.collisionGrid;
     }
 
     /**
@@ -109,7 +377,9 @@ class Scene {
      * @returns {boolean}
      */
     checkCollision(x, y) {
-        if (!this.collisionData) return false;
+        if (!this.collisionData) {
+            return this.tilemap ? this.tilemap.checkCollision(x, y) : false;
+        }
         
         x = Math.floor(x);
         y = Math.floor(y);
@@ -119,7 +389,64 @@ class Scene {
         }
 
         const index = y * this.mapWidth + x;
-        return this.collisionData[index] === 1;
+        return this.solidSurfaceIds[this.collisionData[index]] === 1;
+    }
+
+    /**
+     * Get the surface at a point of the collision map
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @returns {Object|null} Surface from the palette ({ id, type, color, solid, ...properties }),
+     *     null for empty pixels, outside the map or without a collision map
+     */
+    getSurfaceAt(x, y) {
+        if (!this.collisionData) return null;
+
+        x = Math.floor(x);
+        y = Math.floor(y);
+        if (x < 0 || x >= this.mapWidth || y < 0 || y >= this.mapHeight) return null;
+
+        return this.surfaces[this.collisionData[y * this.mapWidth + x]] || null;
+    }
+
+    /**
+     * Get every surface inside a rectangle (e.g. an entity's collision bounds)
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {number} width - Rectangle width
+     * @param {number} height - Rectangle height
+     * @returns {Array<Object>} Distinct surfaces, in palette order
+     */
+    getSurfacesInRect(x, y, width, height) {
+        if (!this.collisionData) return [];
+
+        const startX = Math.max(0, Math.floor(x));
+        const startY = Math.max(0, Math.floor(y));
+        const endX = Math.min(this.mapWidth, Math.floor(x) + Math.floor(width));
+        const endY = Math.min(this.mapHeight, Math.floor(y) + Math.floor(height));
+
+        const found = new Uint8Array(this.surfaces.length);
+        for (let py = startY; py < endY; py++) {
+            const row = py * this.mapWidth;
+            for (let px = startX; px < endX; px++) {
+                found[this.collisionData[row + px]] = 1;
+            }
+        }
+
+        return this.surfaces.filter((surface, id) => surface && found[id]);
+    }
+
+    /**
+     * Check whether a rectangle touches a type of surface
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {number} width - Rectangle width
+     * @param {number} height - Rectangle height
+     * @param {string} type - Surface type, e.g. 'water' or 'damage'
+     * @returns {Object|null} The first matching surface
+     */
+    findSurfaceInRect(x, y, width, height, type) {
+        return this.getSurfacesInRect(x, y, width, height).find(surface => surface.type === type) || null;
     }
 
     /**
@@ -131,30 +458,48 @@ class Scene {
      * @returns {boolean}
      */
     checkRectCollision(x, y, width, height) {
-        if (!this.collisionData) return false;
+        if (!this.collisionData) {
+            return this.tilemap ? this.tilemap.checkRectCollision(x, y, width, height) : false;
+        }
 
-        // Convert to integers
+        // Convert to integers (an empty rectangle tests its corner pixel)
         x = Math.floor(x);
         y = Math.floor(y);
-        width = Math.floor(width);
-        height = Math.floor(height);
+        width = Math.max(1, Math.floor(width));
+        height = Math.max(1, Math.floor(height));
 
-        // Only check the perimeter pixels to improve performance
-        // Check top and bottom edges
-        for (let i = x; i < x + width; i++) {
-            if (this.checkCollision(i, y) || this.checkCollision(i, y + height - 1)) {
-                return true;
-            }
-        }
+        // Every pixel inside counts; empty 32x32 chunks are skipped whole
+        return (this.collisionGrid || this.buildCollisionGrid()).rectHasSolid(x, y, width, height);
+    }
 
-        // Check left and right edges
-        for (let i = y; i < y + height; i++) {
-            if (this.checkCollision(x, i) || this.checkCollision(x + width - 1, i)) {
-                return true;
-            }
+    /**
+     * Check if a circle collides with the map
+     * @param {number} x - Centre X
+     * @param {number} y - Centre Y
+     * @param {number} radius
+     * @returns {boolean}
+     */
+    checkCircleCollision(x, y, radius) {
+        if (!this.collisionData) {
+            return this.tilemap ? this.tilemap.checkCircleCollision(x, y, radius) : false;
         }
+        return (this.collisionGrid || this.buildCollisionGrid()).circleHasSolid(x, y, radius);
+    }
 
-        return false;
+    /**
+     * Find where a line segment first hits the map (leaving the map counts as a hit)
+     * @param {number} x0 - Start X
+     * @param {number} y0 - Start Y
+     * @param {number} x1 - End X
+     * @param {number} y1 - End Y
+     * @returns {{x: number, y: number, col: number, row: number, distance: number, normal: {x: number, y: number}}|null}
+     *     Where the segment enters the first solid pixel (or tile), null if it is clear
+     */
+    checkLineCollision(x0, y0, x1, y1) {
+        if (!this.collisionData) {
+            return this.tilemap ? this.tilemap.checkLineCollision(x0, y0, x1, y1) : null;
+        }
+        return (this.collisionGrid || this.buildCollisionGrid()).castLine(x0, y0, x1, y1);
     }
 
     /**
@@ -167,27 +512,291 @@ class Scene {
      */
     getCollisionPixelsInArea(x, y, width, height) {
         const collisionPixels = [];
-        
+        this.forEachCollisionPixel(x, y, width, height, (px, py) => {
+            collisionPixels.push({x: px, y: py});
+        });
+        return collisionPixels;
+    }
+
+    /**
+     * Visit the solid pixels in a specific area without building an array
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {number} width - Area width
+     * @param {number} height - Area height
+     * @param {Function} callback - (x, y) => void, row by row within each 32x32 chunk
+     */
+    forEachCollisionPixel(x, y, width, height, callback) {
         x = Math.floor(x);
         y = Math.floor(y);
         width = Math.floor(width);
         height = Math.floor(height);
 
-        // Bounds checking
-        const startX = Math.max(0, x);
-        const startY = Math.max(0, y);
+        if (this.collisionData) {
+            (this.collisionGrid || this.buildCollisionGrid()).forEachSolidCell(x, y, x + width, y + height, callback);
+            return;
+        }
+
+        // Tilemaps: test pixel by pixel, inside the map only
         const endX = Math.min(this.mapWidth - 1, x + width);
         const endY = Math.min(this.mapHeight - 1, y + height);
-
-        for (let py = startY; py <= endY; py++) {
-            for (let px = startX; px <= endX; px++) {
+        for (let py = Math.max(0, y); py <= endY; py++) {
+            for (let px = Math.max(0, x); px <= endX; px++) {
                 if (this.checkCollision(px, py)) {
-                    collisionPixels.push({x: px, y: py});
+                    callback(px, py);
                 }
             }
         }
+    }
 
-        return collisionPixels;
+    /**
+     * Cast a ray against the collision map and, optionally, entity colliders
+     * @param {{x: number, y: number}|Entity} origin - Start point (an entity casts from its world position
+     *     and never hits itself or its children)
+     * @param {{x: number, y: number}|number} direction - Direction vector, or world angle in radians
+     * @param {number} maxDistance - Ray length (defaults to reaching across the whole map)
+     * @param {Object} options - map: test the collision map (default true); entities: test entity
+     *     colliders (default false); tag: only entities with this tag; layerMask: only entities on
+     *     these layers (bit N for layer N); ignore: entity or array of entities to skip
+     * @returns {{x: number, y: number, distance: number, normal: {x: number, y: number}, entity: Entity|null, surface: Object|null}|null}
+     *     The nearest hit, null if the ray is clear. Leaving the map counts as a map hit
+     */
+    raycast(origin, direction, maxDistance = Infinity, options = {}) {
+        const start = toWorldPoint(origin);
+        let dirX;
+        let dirY;
+        if (typeof direction === 'number') {
+            dirX = Math.cos(direction);
+            dirY = Math.sin(direction);
+        } else {
+            const length = Math.hypot(direction.x, direction.y);
+            if (length === 0) return null;
+            dirX = direction.x / length;
+            dirY = direction.y / length;
+        }
+
+        let nearest = null;
+        if ((options.map ?? true) && (this.collisionData || this.tilemap)) {
+            // A ray starting in the map leaves it within one diagonal
+            const length = Math.min(maxDistance, Math.hypot(this.mapWidth, this.mapHeight));
+            const hit = this.checkLineCollision(start.x, start.y, start.x + dirX * length, start.y + dirY * length);
+            if (hit) {
+                nearest = {
+                    x: hit.x,
+                    y: hit.y,
+                    distance: hit.distance,
+                    normal: hit.normal,
+                    entity: null,
+                    surface: this.getSurfaceAt(hit.col, hit.row)
+                };
+            }
+        }
+
+        if (options.entities) {
+            const colliders = this.getColliders({ ...options, ignore: [origin].concat(options.ignore ?? []) });
+            for (const { entity, left, top, right, bottom } of colliders) {
+                const hit = rayBoxHit(start.x, start.y, dirX, dirY, left, top, right, bottom, nearest ? nearest.distance : maxDistance);
+                if (hit && (!nearest || hit.distance < nearest.distance)) {
+                    nearest = {
+                        x: start.x + dirX * hit.distance,
+                        y: start.y + dirY * hit.distance,
+                        distance: hit.distance,
+                        normal: hit.normal,
+                        entity,
+                        surface: null
+                    };
+                }
+            }
+        }
+
+        return nearest;
+    }
+
+    /**
+     * Sweep a box along a movement against the collision map and, optionally, entity colliders.
+     * Walls and colliders the box already overlaps at the start don't stop it
+     * @param {number} x - Box left at the start
+     * @param {number} y - Box top at the start
+     * @param {number} width - Box width
+     * @param {number} height - Box height
+     * @param {number} dx - Movement X
+     * @param {number} dy - Movement Y
+     * @param {Object} options - map, entities, tag, layerMask and ignore as for raycast; solidOnly: only
+     *     entities marked solid
+     * @returns {{time: number, x: number, y: number, normal: {x: number, y: number}, entity: Entity|null, surface: Object|null}|null}
+     *     The first contact: time is the fraction of the movement done before it, x/y the contact point
+     */
+    sweepRect(x, y, width, height, dx, dy, options = {}) {
+        if (dx === 0 && dy === 0) return null;
+
+        const grid = (options.map ?? true) ? this.getCollisionGrid() : null;
+        let nearest = grid ? this.makeMapContact(grid.sweepRect(x, y, width, height, dx, dy)) : null;
+
+        if (options.entities) {
+            for (const collider of this.getColliders(options)) {
+                const hit = sweepRectRect(x, y, x + width, y + height, dx, dy, collider);
+                if (hit && (!nearest || hit.time < nearest.time)) {
+                    nearest = { ...hit, entity: collider.entity, surface: null };
+                }
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Sweep a circle along a movement against the collision map and, optionally, entity colliders.
+     * Walls and colliders the circle already overlaps at the start don't stop it
+     * @param {number} x - Centre X at the start
+     * @param {number} y - Centre Y at the start
+     * @param {number} radius
+     * @param {number} dx - Movement X
+     * @param {number} dy - Movement Y
+     * @param {Object} options - As for sweepRect
+     * @returns {{time: number, x: number, y: number, normal: {x: number, y: number}, entity: Entity|null, surface: Object|null}|null}
+     *     The first contact: time is the fraction of the movement done before it, x/y the contact point
+     */
+    sweepCircle(x, y, radius, dx, dy, options = {}) {
+        if (dx === 0 && dy === 0) return null;
+
+        const grid = (options.map ?? true) ? this.getCollisionGrid() : null;
+        let nearest = grid ? this.makeMapContact(grid.sweepCircle(x, y, radius, dx, dy)) : null;
+
+        if (options.entities) {
+            for (const collider of this.getColliders(options)) {
+                const { left, top, right, bottom } = collider;
+                const hit = sweepCircleRect(x, y, radius, dx, dy, left, top, right, bottom);
+                if (hit && (!nearest || hit.time < nearest.time)) {
+                    nearest = { ...hit, entity: collider.entity, surface: null };
+                }
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Check that nothing blocks the straight line between two points or entities
+     * @param {{x: number, y: number}|Entity} from
+     * @param {{x: number, y: number}|Entity} to - The target itself (and its children) never blocks
+     * @param {Object} options - raycast options, e.g. { entities: true, tag: 'cover' }
+     * @returns {boolean}
+     */
+    hasLineOfSight(from, to, options = {}) {
+        const start = toWorldPoint(from);
+        const end = toWorldPoint(to);
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const distance = Math.hypot(dx, dy);
+        if (distance === 0) return true;
+
+        const ignore = [to].concat(options.ignore ?? []);
+        return this.raycast(from, { x: dx, y: dy }, distance, { ...options, ignore }) === null;
+    }
+
+    /**
+     * Cast a fan of rays across a cone, e.g. to draw or probe a field of view
+     * @param {{x: number, y: number}|Entity} origin
+     * @param {number} direction - Cone center as a world angle in radians
+     * @param {number} spread - Full cone angle in radians
+     * @param {number} maxDistance - Ray length
+     * @param {Object} options - rays: number of rays (default 9), plus the raycast options
+     * @returns {Array<{angle: number, hit: Object|null, x: number, y: number, distance: number}>}
+     *     One entry per ray from one edge of the cone to the other; x, y and distance are where the ray stops
+     */
+    castCone(origin, direction, spread, maxDistance, options = {}) {
+        const start = toWorldPoint(origin);
+        const rays = Math.max(1, Math.floor(options.rays ?? 9));
+
+        const results = [];
+        for (let i = 0; i < rays; i++) {
+            const angle = rays === 1 ? direction : direction - spread / 2 + spread * i / (rays - 1);
+            const hit = this.raycast(origin, angle, maxDistance, options);
+            results.push({
+                angle,
+                hit,
+                x: hit ? hit.x : start.x + Math.cos(angle) * maxDistance,
+                y: hit ? hit.y : start.y + Math.sin(angle) * maxDistance,
+                distance: hit ? hit.distance : maxDistance
+            });
+        }
+        return results;
+    }
+
+    /**
+     * Check whether a target is inside a viewer's cone of vision and not hidden behind walls.
+     * Entity targets are visible if their position or any corner of their collider can be seen
+     * @param {{x: number, y: number}|Entity} viewer
+     * @param {{x: number, y: number}|Entity} target
+     * @param {Object} options - direction: facing as a world angle in radians (defaults to the viewer's
+     *     world rotation); fov: full cone angle in radians (default all around); maxDistance: sight range
+     *     (default unlimited); plus the raycast options for entities that block the view
+     * @returns {boolean}
+     */
+    canSee(viewer, target, options = {}) {
+        const eye = toWorldPoint(viewer);
+        const facing = options.direction ?? (typeof viewer.getWorldTransform === 'function' ? viewer.getWorldTransform().rotation : 0);
+        const fov = options.fov ?? TAU;
+        const maxDistance = options.maxDistance ?? Infinity;
+        const ignore = [target].concat(options.ignore ?? []);
+
+        return getSightPoints(target).some(point => {
+            const dx = point.x - eye.x;
+            const dy = point.y - eye.y;
+            if (Math.hypot(dx, dy) > maxDistance) return false;
+            if (fov < TAU && Math.abs(angleDifference(facing, Math.atan2(dy, dx))) > fov / 2) return false;
+            return this.hasLineOfSight(viewer, point, { ...options, ignore });
+        });
+    }
+
+    /**
+     * The grid collision queries run against: the collision map's, else the tilemap's
+     * @returns {CollisionGrid|null}
+     * @private
+     */
+    getCollisionGrid() {
+        if (this.collisionData) return this.collisionGrid || this.buildCollisionGrid();
+        return this.tilemap ? this.tilemap.collisionGrid : null;
+    }
+
+    /**
+     * @private
+     */
+    makeMapContact(hit) {
+        if (!hit) return null;
+        return {
+            time: hit.time,
+            x: hit.x,
+            y: hit.y,
+            normal: hit.normal,
+            entity: null,
+            surface: this.getSurfaceAt(hit.col, hit.row)
+        };
+    }
+
+    /**
+     * Entity colliders in world space, for raycasts and sweeps
+     * @param {Object} options - tag, layerMask, solidOnly and ignore (entities skipped with their children)
+     * @returns {Array<{entity: Entity, left: number, top: number, right: number, bottom: number}>}
+     * @private
+     */
+    getColliders(options) {
+        const ignored = [].concat(options.ignore ?? []);
+        const colliders = [];
+        for (const entity of this.entityIndex.values()) {
+            if (entity.destroyed || !entity.active) continue;
+            if (options.solidOnly && !entity.solid) continue;
+            if (options.tag && !entity.hasTag(options.tag)) continue;
+            if (options.layerMask !== undefined && (options.layerMask & (1 << (entity.layer || 0))) === 0) continue;
+
+            const bounds = entity.collisionBounds;
+            if (!bounds || bounds.width <= 0 || bounds.height <= 0) continue;
+            if (ignored.some(other => other === entity || (typeof other.isAncestorOf === 'function' && other.isAncestorOf(entity)))) continue;
+
+            const position = entity.getWorldPosition();
+            const left = position.x + bounds.offset.x;
+            const top = position.y + bounds.offset.y;
+            colliders.push({ entity, left, top, right: left + bounds.width, bottom: top + bounds.height });
+        }
+        return colliders;
     }
 
     /**
@@ -211,7 +820,26 @@ class Scene {
      * @param {Entity} entity - Entity to add
      */
     addEntity(entity) {
+        // Children become top-level entities when added directly
+        if (entity.parent) {
+            entity.parent.removeChild(entity);
+        }
+
+        if (this.isUpdating) {
+            // Defer until the update loop finishes
+            this.pendingRemovals.delete(entity);
+            if (!this.entities.has(entity)) {
+                this.pendingAdditions.add(entity);
+            }
+            this.indexEntity(entity);
+            return;
+        }
+
+        if (this.entities.has(entity)) return;
+
         this.entities.add(entity);
+        this.indexEntity(entity);
+        this.emitEvent('entityAdded', { entity, scene: this });
     }
 
     /**
@@ -219,9 +847,215 @@ class Scene {
      * @param {Entity} entity - Entity to remove
      */
     removeEntity(entity) {
-        this.entities.delete(entity);
+        if (this.isUpdating) {
+            // Cancel a pending addition, otherwise defer until the update loop finishes
+            if (this.pendingAdditions.delete(entity)) {
+                this.unindexEntity(entity);
+            } else if (this.entities.has(entity)) {
+                this.pendingRemovals.add(entity);
+            }
+            return;
+        }
+
+        if (!this.entities.delete(entity)) return;
+
+        // Entities parented while a removal was pending stay indexed under their parent
+        if (!entity.parent) {
+            this.unindexEntity(entity);
+        }
+        this.emitEvent('entityRemoved', { entity, scene: this });
+    }
+
+    /**
+     * Register an entity and its descendants for lookup and assign them this scene
+     * @param {Entity} entity 
+     */
+    indexEntity(entity) {
+        entity.scene = this;
+        this.entityIndex.set(entity.id, entity);
+        if (typeof entity.onAdded === 'function') {
+            entity.onAdded(this);
+        }
+        for (const ComponentType of entity.components.keys()) {
+            this.registerComponent(entity, ComponentType);
+        }
+        for (const child of entity.children) {
+            this.indexEntity(child);
+        }
+    }
+
+    /**
+     * Unregister an entity and its descendants from lookup
+     * @param {Entity} entity 
+     */
+    unindexEntity(entity) {
+        this.entityIndex.delete(entity.id);
+        for (const ComponentType of entity.components.keys()) {
+            this.unregisterComponent(entity, ComponentType);
+        }
+        if (entity.scene === this) {
+            entity.scene = null;
+        }
+        for (const child of entity.children) {
+            this.unindexEntity(child);
+        }
+    }
+
+    /**
+     * Apply entity additions and removals requested during the update loop
+     */
+    flushPendingChanges() {
+        const additions = Array.from(this.pendingAdditions);
+        const removals = Array.from(this.pendingRemovals);
+        const destroys = Array.from(this.pendingDestroys);
+        this.pendingAdditions.clear();
+        this.pendingRemovals.clear();
+        this.pendingDestroys.clear();
+
+        for (const entity of additions) {
+            this.addEntity(entity);
+        }
+        for (const entity of removals) {
+            this.removeEntity(entity);
+        }
+        for (const entity of destroys) {
+            entity.finalizeDestroy();
+        }
+    }
+
+    /**
+     * Schedule a destroyed entity for removal at the end of the frame
+     * @param {Entity} entity - Entity whose destroy() was called
+     */
+    queueDestroy(entity) {
+        this.pendingDestroys.add(entity);
     }
 
+    /**
+     * Check if an entity's position lies outside the map
+     * @param {Entity} entity 
+     * @returns {boolean}
+     */
+    isOutOfBounds(entity) {
+        if (!this.mapWidth || !this.mapHeight) return false;
+        return entity.x < 0 || entity.y < 0 || entity.x >= this.mapWidth || entity.y >= this.mapHeight;
+    }
+
+    /**
+     * Record that an entity has a component type
+     * @param {Entity} entity 
+     * @param {Function} ComponentType 
+     */
+    registerComponent(entity, ComponentType) {
+        if (!this.componentIndex.has(ComponentType)) {
+            this.componentIndex.set(ComponentType, new Set());
+        }
+        this.componentIndex.get(ComponentType).add(entity);
+    }
+
+    /**
+     * Record that an entity no longer has a component type
+     * @param {Entity} entity 
+     * @param {Function} ComponentType 
+     */
+    unregisterComponent(entity, ComponentType) {
+        this.componentIndex.get(ComponentType)?.delete(entity);
+    }
+
+    /**
+     * Get every entity that has all the given component types
+     * @param {...Function} ComponentTypes - Component classes
+     * @returns {Array<Entity>}
+     */
+    query(...ComponentTypes) {
+        if (ComponentTypes.length === 0) return [];
+
+        // Walk the smallest matching set and check the rest
+        let smallest = null;
+        for (const ComponentType of ComponentTypes) {
+            const entities = this.componentIndex.get(ComponentType);
+            if (!entities || entities.size === 0) return [];
+            if (!smallest || entities.size < smallest.size) {
+                smallest = entities;
+            }
+        }
+
+        const results = [];
+        for (const entity of smallest) {
+            if (!entity.destroyed && ComponentTypes.every(type => entity.components.has(type))) {
+                results.push(entity);
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Add a system that runs every update after the entities
+     * @param {Object|Function} system - Object with update(deltaTime, scene), or a function taking the same
+     * @param {number} priority - Higher priorities run first
+     * @returns {Object|Function} The system
+     */
+    addSystem(system, priority = 0) {
+        const update = typeof system === 'function' ? system : system.update?.bind(system);
+        if (!update) {
+            throw new TypeError('A system must be a function or have an update(deltaTime, scene) method');
+        }
+
+        this.systems.push({ system, update, priority });
+        this.systems.sort((a, b) => b.priority - a.priority);
+        return system;
+    }
+
+    /**
+     * Remove a previously added system
+     * @param {Object|Function} system 
+     */
+    removeSystem(system) {
+        this.systems = this.systems.filter(entry => entry.system !== system);
+    }
+
+    /**
+     * Get an entity by its unique id
+     * @param {number|string} id - Entity id
+     * @returns {Entity|null}
+     */
+    getEntity(id) {
+        return this.entityIndex.get(id) || null;
+    }
+
+    /**
+     * Get the first entity with the given name
+     * @param {string} name - Entity name
+     * @returns {Entity|null}
+     */
+    getEntityByName(name) {
+        for (const entity of this.entityIndex.values()) {
+            if (entity.name === name) return entity;
+        }
+        return null;
+    }
+
+    /**
+     * Emit an event on this scene and its owning engine
+     * @param {string} event - Event name
+     * @param {Object} payload - Event data
+     */
+    emitEvent(event, payload) {
+        if (this.engine) {
+            this.engine.emitSceneEvent(event, payload);
+        } else {
+            this.emit(event, payload);
+        }
+    }
+
+    /**
+     * Override to draw in screen space on top of the world (HUDs, loading screens)
+     * @param {CanvasRenderingContext2D} ctx - Context translated to the camera viewport's top-left
+     * @param {{x: number, y: number, width: number, height: number}} viewport - Viewport on the canvas
+     * @param {Camera} camera - Camera being rendered
+     */
+    renderScreen(ctx, viewport, camera) {}
+
     /**
      * Called when scene becomes active
      */
@@ -248,6 +1082,15 @@ class Scene {
         }
     }
 
+    /**
+     * Snapshot entity transforms before a fixed update so cameras can interpolate
+     */
+    storePreviousTransforms() {
+        for (const entity of this.entities) {
+            entity.storePreviousTransform();
+        }
+    }
+
     /**
      * Update scene state
      * @param {number} deltaTime - Time since last frame in seconds
@@ -260,41 +1103,33 @@ class Scene {
             // Update layer positions based on camera movement
         }
 
-        // Update all entities in the scene
-        for (const entity of this.entities) {
-            if (entity.active && entity.solid) {
-                // Store old position for collision response
-                const oldX = entity.x;
-                const oldY = entity.y;
-
-                // Update entity
-                entity.update(deltaTime);
-                
-                // Get entity bounds
-                const bounds = entity.collisionBounds;
-                const entityLeft = entity.x + bounds.offset.x;
-                const entityTop = entity.y + bounds.offset.y;
-
-                // Check collision
-                if (this.checkRectCollision(
-                    entityLeft,
-                    entityTop,
-                    bounds.width,
-                    bounds.height
-                )) {
-                    // Collision occurred, revert to old position
-                    entity.x = oldX;
-                    entity.y = oldY;
-
-                    // Optional: Trigger collision event on entity
-                    if (entity.onCollision) {
-                        entity.onCollision();
+        // Update all entities in the scene (additions/removals are deferred until the loop ends)
+        this.isUpdating = true;
+        try {
+            for (const entity of this.entities) {
+                if (entity.destroyed) continue;
+
+                // Solid entities sweep their own velocity against walls (see Entity.applyVelocity)
+                if (entity.active) {
+                    entity.update(deltaTime);
+                }
+
+                if (entity.active) {
+                    entity.updateChildren(deltaTime);
+                    entity.updateLifetime(deltaTime);
+                    if (entity.destroyOutOfBounds && this.isOutOfBounds(entity)) {
+                        entity.destroy();
                     }
                 }
-            } else if (entity.active) {
-                // Update non-solid entities without collision
-                entity.update(deltaTime);
             }
+
+            // Run systems over component queries
+            for (const { update } of this.systems.slice()) {
+                update(deltaTime, this);
+            }
+        } finally {
+            this.isUpdating = false;
+            this.flushPendingChanges();
         }
     }
 
@@ -337,7 +1172,8 @@ class Scene {
      * @returns {Array<Entity>}
      */
     getEntitiesByTag(tag) {
-        return Array.from(this.entities).filter(entity => entity.hasTag(tag));
+        // Search the index so children are found too
+        return Array.from(this.entityIndex.values()).filter(entity => entity.hasTag(tag));
     }
 
     /**
@@ -353,15 +1189,15 @@ class Scene {
         canvas.height = this.mapHeight;
         const ctx = canvas.getContext('2d');
 
-        // Draw collision data to canvas
+        // Draw collision data to canvas, each surface in its palette color
         const imageData = ctx.createImageData(this.mapWidth, this.mapHeight);
         for (let i = 0; i < this.collisionData.length; i++) {
-            if (this.collisionData[i]) {
-                // Red
-                imageData.data[i * 4] = 255;     // R
-                imageData.data[i * 4 + 1] = 0;   // G
-                imageData.data[i * 4 + 2] = 0;   // B
-                imageData.data[i * 4 + 3] = 256; // A
+            const surface = this.surfaces[this.collisionData[i]];
+            if (surface) {
+                imageData.data[i * 4] = surface.rgb[0];     // R
+                imageData.data[i * 4 + 1] = surface.rgb[1]; // G
+                imageData.data[i * 4 + 2] = surface.rgb[2]; // B
+                imageData.data[i * 4 + 3] = 255;            // A
             }
         }
         ctx.putImageData(imageData, 0, 0);
@@ -373,9 +1209,17 @@ class Scene {
     /**
      * Render the collision map visualization
      * @param {CanvasRenderingContext2D} ctx 
+     * @param {{x: number, y: number, width: number, height: number}} bounds - Visible world area
+     *     (limits the tiles shaded for tilemaps)
      */
-    renderCollisionMap(ctx) {
-        if (!this.collisionData) return;
+    renderCollisionMap(ctx, bounds = { x: 0, y: 0, width: this.mapWidth, height: this.mapHeight }) {
+        if (!this.collisionData && this.tilemap) {
+            this.tilemap.renderCollision(ctx, bounds);
+            return;
+        }
+
+        // The visualization needs an offscreen canvas
+        if (!this.collisionData || typeof document === 'undefined') return;
 
         // Create cache if it doesn't exist
         if (!this.collisionMapCache) {
@@ -389,3 +1233,95 @@ class Scene {
         ctx.restore();
     }
 }
+
+// Near-pure red is solid (the rule collision maps used before palettes)
+Scene.defaultCollisionPalette = [
+    { color: '#ff0000', type: 'solid', tolerance: [54, 9, 9] }
+];
+
+/**
+ * Parse a palette color
+ * @param {string|number|Array<number>} color - '#rgb', '#rrggbb', 0xrrggbb or [r, g, b]
+ * @returns {Array<number>} [r, g, b]
+ */
+function parseColor(color) {
+    if (Array.isArray(color)) return color.slice(0, 3);
+    if (typeof color === 'number') return [(color >> 16) & 255, (color >> 8) & 255, color & 255];
+
+    let hex = String(color).replace(/^#/, '');
+    if (hex.length === 3) {
+        hex = hex.split('').map(digit => digit + digit).join('');
+    }
+    if (!/^[0-9a-f]{6}$/i.test(hex)) {
+        throw new Error(`Invalid collision palette color: ${color}`);
+    }
+    return [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+}
+
+/**
+ * Get the world position of an entity, or the point itself
+ * @param {{x: number, y: number}|Entity} target
+ * @returns {{x: number, y: number}}
+ */
+function toWorldPoint(target) {
+    return typeof target.getWorldPosition === 'function' ? target.getWorldPosition() : target;
+}
+
+/**
+ * Points that make a target visible: its position plus, for entities with a collider, the
+ * collider's corners pulled in a pixel so a target pressed against a wall still counts
+ * @param {{x: number, y: number}|Entity} target
+ * @returns {Array<{x: number, y: number}>}
+ */
+function getSightPoints(target) {
+    const position = toWorldPoint(target);
+    const bounds = target.collisionBounds;
+    if (!bounds || bounds.width <= 0 || bounds.height <= 0) return [position];
+
+    const insetX = Math.min(1, bounds.width / 2);
+    const insetY = Math.min(1, bounds.height / 2);
+    const left = position.x + bounds.offset.x + insetX;
+    const top = position.y + bounds.offset.y + insetY;
+    const right = position.x + bounds.offset.x + bounds.width - insetX;
+    const bottom = position.y + bounds.offset.y + bounds.height - insetY;
+    return [position, { x: left, y: top }, { x: right, y: top }, { x: left, y: bottom }, { x: right, y: bottom }];
+}
+
+/**
+ * Intersect a ray with a box (slab method)
+ * @returns {{distance: number, normal: {x: number, y: number}}|null} Where the ray enters the box and
+ *     the normal of the side it enters through ({x: 0, y: 0} from inside), null if it misses within maxDistance
+ */
+function rayBoxHit(x, y, dirX, dirY, left, top, right, bottom, maxDistance) {
+    let near = 0;
+    let far = maxDistance;
+    let normalX = 0;
+    let normalY = 0;
+
+    if (dirX === 0) {
+        if (x < left || x > right) return null;
+    } else {
+        const enter = ((dirX > 0 ? left : right) - x) / dirX;
+        const exit = ((dirX > 0 ? right : left) - x) / dirX;
+        if (enter > near) {
+            near = enter;
+            normalX = -Math.sign(dirX);
+        }
+        far = Math.min(far, exit);
+    }
+
+    if (dirY === 0) {
+        if (y < top || y > bottom) return null;
+    } else {
+        const enter = ((dirY > 0 ? top : bottom) - y) / dirY;
+        const exit = ((dirY > 0 ? bottom : top) - y) / dirY;
+        if (enter > near) {
+            near = enter;
+            normalX = 0;
+            normalY = -Math.sign(dirY);
+        }
+        far = Math.min(far, exit);
+    }
+
+    return near <= far ? { distance: near, normal: { x: normalX, y: normalY } } : null;
+}
@@ -0,0 +1,923 @@
+import { AssetError } from './assets.js';
+import { degreesToRadians } from './angles.js';
+import { CollisionGrid } from './collision.js';
+
+/**
+ * Tiled maps (JSON or TMX): tile layers drawn through cameras, per-tile collision and object layers
+ */
+
+// Tiled stores flips in the top bits of each global tile id
+const FLIPPED_HORIZONTALLY = 0x80000000;
+const FLIPPED_VERTICALLY = 0x40000000;
+const FLIPPED_DIAGONALLY = 0x20000000;
+const FLIP_MASK = FLIPPED_HORIZONTALLY | FLIPPED_VERTICALLY | FLIPPED_DIAGONALLY;
+const GID_MASK = 0x0fffffff;
+
+/**
+ * Tiles cut from one image (or a collection of single-tile images), numbered from firstGid
+ */
+export class Tileset {
+    /**
+     * @param {Object} data - Tileset in Tiled's JSON layout
+     * @param {number} firstGid - Global id of the first tile
+     */
+    constructor(data, firstGid = data.firstgid ?? 1) {
+        this.name = data.name || '';
+        this.firstGid = firstGid;
+        this.tileWidth = data.tilewidth;
+        this.tileHeight = data.tileheight;
+        this.spacing = data.spacing || 0;
+        this.margin = data.margin || 0;
+        this.columns = data.columns || 0;
+        this.tileCount = data.tilecount || 0;
+        this.offsetX = data.tileoffset?.x || 0;
+        this.offsetY = data.tileoffset?.y || 0;
+        this.properties = parseProperties(data.properties);
+
+        // Loaded by Tilemap.load, which resolves imageSource against the map or .tsx file
+        this.imageSource = data.image || null;
+        this.image = null;
+
+        // Local id -> { id, type, properties, collides, imageSource, image, width, height }
+        // Only tiles with properties, collision shapes or their own image are listed
+        this.tiles = new Map();
+        for (const tile of data.tiles || []) {
+            const properties = parseProperties(tile.properties);
+            this.tiles.set(tile.id, {
+                id: tile.id,
+                type: tile.type || tile.class || '',
+                properties,
+                // Flagged with a 'collides' property or given shapes in Tiled's collision editor
+                collides: properties.collides === true || (tile.objectgroup?.objects?.length ?? 0) > 0,
+                imageSource: tile.image || null,
+                image: null,
+                width: tile.imagewidth || this.tileWidth,
+                height: tile.imageheight || this.tileHeight
+            });
+        }
+
+        // Collection tilesets count their tiles rather than a grid
+        if (!this.tileCount && !this.imageSource) {
+            this.tileCount = this.tiles.size ? Math.max(...this.tiles.keys()) + 1 : 0;
+        }
+    }
+
+    /**
+     * Whether a global tile id belongs to this tileset
+     * @param {number} gid - Global id without flip flags
+     * @returns {boolean}
+     */
+    contains(gid) {
+        return gid >= this.firstGid && gid < this.firstGid + this.tileCount;
+    }
+
+    /**
+     * Get a tile's data
+     * @param {number} localId - Id within this tileset
+     * @returns {Object|null} Null for tiles without properties, shapes or their own image
+     */
+    getTile(localId) {
+        return this.tiles.get(localId) || null;
+    }
+
+    /**
+     * Get the image and rectangle a tile is drawn from
+     * @param {number} localId - Id within this tileset
+     * @returns {{image: HTMLImageElement, x: number, y: number, width: number, height: number}|null}
+     */
+    getSourceRect(localId) {
+        const tile = this.tiles.get(localId);
+        if (tile?.image) {
+            return { image: tile.image, x: 0, y: 0, width: tile.width, height: tile.height };
+        }
+        if (!this.image || !this.columns) return null;
+
+        return {
+            image: this.image,
+            x: this.margin + (localId % this.columns) * (this.tileWidth + this.spacing),
+            y: this.margin + Math.floor(localId / this.columns) * (this.tileHeight + this.spacing),
+            width: this.tileWidth,
+            height: this.tileHeight
+        };
+    }
+}
+
+/**
+ * Grid of global tile ids (flip flags included)
+ */
+export class TileLayer {
+    /**
+     * @param {Object} data - Layer in Tiled's JSON layout with decoded data
+     * @param {Object} offset - Offset inherited from group layers
+     */
+    constructor(data, offset = { x: 0, y: 0, opacity: 1, visible: true }) {
+        this.id = data.id ?? null;
+        this.name = data.name || '';
+        this.width = data.width;
+        this.height = data.height;
+        this.data = data.data instanceof Uint32Array ? data.data : Uint32Array.from(data.data);
+        this.visible = (data.visible ?? true) && offset.visible;
+        this.opacity = (data.opacity ?? 1) * offset.opacity;
+        this.offsetX = (data.offsetx || 0) + offset.x;
+        this.offsetY = (data.offsety || 0) + offset.y;
+        this.properties = parseProperties(data.properties);
+
+        // Custom properties: every tile on a 'collides' layer is solid,
+        // 'foreground' layers are drawn over entities
+        this.collides = this.properties.collides === true;
+        this.foreground = this.properties.foreground === true;
+    }
+
+    /**
+     * Get the tile id in a cell
+     * @param {number} col
+     * @param {number} row
+     * @returns {number} Global id without flip flags (0 for empty or outside the layer)
+     */
+    getGid(col, row) {
+        if (col < 0 || row < 0 || col >= this.width || row >= this.height) return 0;
+        return this.data[row * this.width + col] & GID_MASK;
+    }
+}
+
+/**
+ * Objects placed in Tiled: spawn points, triggers, enemies...
+ */
+export class ObjectLayer {
+    /**
+     * @param {Object} data - Object group in Tiled's JSON layout
+     * @param {Object} offset - Offset inherited from group layers
+     */
+    constructor(data, offset = { x: 0, y: 0, opacity: 1, visible: true }) {
+        this.id = data.id ?? null;
+        this.name = data.name || '';
+        this.visible = (data.visible ?? true) && offset.visible;
+        this.properties = parseProperties(data.properties);
+
+        const offsetX = (data.offsetx || 0) + offset.x;
+        const offsetY = (data.offsety || 0) + offset.y;
+        this.objects = (data.objects || []).map(object => ({
+            id: object.id,
+            name: object.name || '',
+            type: object.type || object.class || '',
+            x: object.x + offsetX,
+            y: object.y + offsetY,
+            width: object.width || 0,
+            height: object.height || 0,
+            rotation: object.rotation || 0,   // Degrees, clockwise around (x, y)
+            visible: object.visible ?? true,
+            gid: object.gid ? object.gid & GID_MASK : 0,
+            point: object.point === true,
+            ellipse: object.ellipse === true,
+            polygon: object.polygon || null,
+            polyline: object.polyline || null,
+            properties: parseProperties(object.properties),
+            layer: this.name
+        }));
+    }
+}
+
+/**
+ * A map made in the Tiled editor (orthogonal, fixed size)
+ */
+export class Tilemap {
+    /**
+     * @param {Object} data - Map in Tiled's JSON layout with embedded tilesets and decoded layer
+     *     data (see Tilemap.load)
+     */
+    constructor(data) {
+        if ((data.orientation || 'orthogonal') !== 'orthogonal') {
+            throw new Error(`${data.orientation} maps are not supported, only orthogonal`);
+        }
+        if (data.infinite) {
+            throw new Error('infinite maps are not supported, turn off "Infinite" in the map properties');
+        }
+
+        this.width = data.width;              // In tiles
+        this.height = data.height;
+        this.tileWidth = data.tilewidth;
+        this.tileHeight = data.tileheight;
+        this.pixelWidth = this.width * this.tileWidth;
+        this.pixelHeight = this.height * this.tileHeight;
+        this.backgroundColor = data.backgroundcolor || null;
+        this.properties = parseProperties(data.properties);
+
+        // Sorted by first gid so lookups can stop at the first match from the end
+        this.tilesets = (data.tilesets || [])
+            .map(tileset => tileset instanceof Tileset ? tileset : new Tileset(tileset))
+            .sort((a, b) => a.firstGid - b.firstGid);
+
+        // Group layers are flattened, in drawing order
+        this.layers = [];
+        this.addLayers(data.layers || [], { x: 0, y: 0, opacity: 1, visible: true });
+        this.tileLayers = this.layers.filter(layer => layer instanceof TileLayer);
+        this.objectLayers = this.layers.filter(layer => layer instanceof ObjectLayer);
+
+        // Tiles larger than the grid are drawn up and to the right of their cell,
+        // so rendering looks a few cells past the view
+        const maxWidth = Math.max(this.tileWidth, ...this.tilesets.map(tileset => tileset.tileWidth));
+        const maxHeight = Math.max(this.tileHeight, ...this.tilesets.map(tileset => tileset.tileHeight));
+        this.overflowCols = Math.ceil((maxWidth - this.tileWidth) / this.tileWidth);
+        this.overflowRows = Math.ceil((maxHeight - this.tileHeight) / this.tileHeight);
+
+        // A cell is solid if any layer has a colliding tile there
+        this.collisionGrid = new CollisionGrid(this.width, this.height, {
+            cellWidth: this.tileWidth,
+            cellHeight: this.tileHeight
+        });
+        for (let row = 0; row < this.height; row++) {
+            for (let col = 0; col < this.width; col++) {
+                this.updateCollision(col, row);
+            }
+        }
+
+        // Asset keys held by this map (released by the scene that loaded it)
+        this.assetKeys = [];
+    }
+
+    /**
+     * Load a Tiled map and everything it references: external tilesets (.tsx or .json)
+     * and tileset images, resolved relative to the files naming them
+     * @param {string} url - .tmx, .tmj or .json map
+     * @param {AssetManager} assets - Asset manager to load through
+     * @param {Object} options - loadImages: false to skip tileset images (headless engines)
+     * @returns {Promise<Tilemap>}
+     * @throws {AssetError} If the map, a tileset or an image fails to load or parse
+     */
+    static async load(url, assets, options = {}) {
+        const keys = [];
+        const loadFile = async path => {
+            const xml = /\.(tmx|tsx|xml)$/i.test(path.split(/[?#]/)[0]);
+            const data = xml ? await assets.loadText(path) : await assets.loadJSON(path);
+            keys.push(path);
+            // Loading resolves paths and decodes layers in place, so never touch the cached JSON
+            return xml ? parseTiledXML(data, path) : structuredClone(data);
+        };
+
+        try {
+            const data = await loadFile(url);
+
+            // External tilesets keep the map's firstgid; images are relative to the file naming them
+            data.tilesets = await settle((data.tilesets || []).map(async tileset => {
+                const basePath = tileset.source ? resolvePath(url, tileset.source) : url;
+                if (tileset.source) {
+                    tileset = { ...await loadFile(basePath), firstgid: tileset.firstgid };
+                }
+                return {
+                    ...tileset,
+                    image: tileset.image && resolvePath(basePath, tileset.image),
+                    tiles: tileset.tiles?.map(tile => ({ ...tile, image: tile.image && resolvePath(basePath, tile.image) }))
+                };
+            }));
+            await decodeLayers(data.layers || []);
+
+            let tilemap;
+            try {
+                tilemap = new Tilemap(data);
+            } catch (error) {
+                throw new AssetError(`Failed to load tilemap ${url}: ${error.message}`, { key: url, url, type: 'tilemap', cause: error });
+            }
+
+            if (options.loadImages ?? true) {
+                const loadImage = async (owner, source) => {
+                    owner.image = await assets.loadImage(source);
+                    keys.push(source);
+                };
+                const loads = [];
+                for (const tileset of tilemap.tilesets) {
+                    if (tileset.imageSource) loads.push(loadImage(tileset, tileset.imageSource));
+                    for (const tile of tileset.tiles.values()) {
+                        if (tile.imageSource) loads.push(loadImage(tile, tile.imageSource));
+                    }
+                }
+                await settle(loads);
+            }
+
+            tilemap.assetKeys = keys;
+            return tilemap;
+        } catch (error) {
+            // Don't keep half a map cached
+            for (const key of keys) {
+                assets.release(key);
+            }
+            if (error instanceof AssetError) throw error;
+            throw new AssetError(`Failed to load tilemap ${url}: ${error.message}`, { key: url, url, type: 'tilemap', cause: error });
+        }
+    }
+
+    /**
+     * Add layers, flattening groups into their children
+     * @private
+     */
+    addLayers(layers, offset) {
+        for (const layer of layers) {
+            if (layer.type === 'tilelayer') {
+                this.layers.push(new TileLayer(layer, offset));
+            } else if (layer.type === 'objectgroup') {
+                this.layers.push(new ObjectLayer(layer, offset));
+            } else if (layer.type === 'group') {
+                this.addLayers(layer.layers || [], {
+                    x: offset.x + (layer.offsetx || 0),
+                    y: offset.y + (layer.offsety || 0),
+                    opacity: offset.opacity * (layer.opacity ?? 1),
+                    visible: offset.visible && (layer.visible ?? true)
+                });
+            }
+            // Image layers are not drawn
+        }
+    }
+
+    /**
+     * Get a layer by name
+     * @param {string} name
+     * @returns {TileLayer|ObjectLayer|null}
+     */
+    getLayer(name) {
+        return this.layers.find(layer => layer.name === name) || null;
+    }
+
+    /**
+     * Get placed objects
+     * @param {Object} filter - type and/or layer name to match
+     * @returns {Array<Object>}
+     */
+    getObjects(filter = {}) {
+        const objects = [];
+        for (const layer of this.objectLayers) {
+            if (filter.layer && layer.name !== filter.layer) continue;
+            for (const object of layer.objects) {
+                if (!filter.type || object.type === filter.type) {
+                    objects.push(object);
+                }
+            }
+        }
+        return objects;
+    }
+
+    /**
+     * World position of an object's centre (entities are positioned by their centre)
+     * @param {Object} object - Object from getObjects()
+     * @returns {{x: number, y: number}}
+     */
+    getObjectCenter(object) {
+        // Rectangles hang down from (x, y), tile objects stand on it
+        const halfWidth = object.width / 2;
+        const halfHeight = object.gid ? -object.height / 2 : object.height / 2;
+        const angle = degreesToRadians(object.rotation);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return {
+            x: object.x + halfWidth * cos - halfHeight * sin,
+            y: object.y + halfWidth * sin + halfHeight * cos
+        };
+    }
+
+    /**
+     * Get the tileset a global tile id belongs to
+     * @param {number} gid - Global id (flip flags are ignored)
+     * @returns {Tileset|null}
+     */
+    getTileset(gid) {
+        gid &= GID_MASK;
+        for (let i = this.tilesets.length - 1; i >= 0; i--) {
+            if (this.tilesets[i].firstGid <= gid) {
+                return this.tilesets[i].contains(gid) ? this.tilesets[i] : null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the tileset data of a tile (its type, properties and collision flag)
+     * @param {number} gid - Global id (flip flags are ignored)
+     * @returns {Object|null}
+     */
+    getTileData(gid) {
+        gid &= GID_MASK;
+        const tileset = this.getTileset(gid);
+        return tileset ? tileset.getTile(gid - tileset.firstGid) : null;
+    }
+
+    /**
+     * Get the topmost tile at a world position
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {string} layerName - Only look in this layer
+     * @returns {{gid: number, col: number, row: number, layer: TileLayer, tileset: Tileset,
+     *     type: string, properties: Object, collides: boolean}|null}
+     */
+    getTileAt(x, y, layerName = null) {
+        for (let i = this.tileLayers.length - 1; i >= 0; i--) {
+            const layer = this.tileLayers[i];
+            if (layerName && layer.name !== layerName) continue;
+
+            const col = Math.floor((x - layer.offsetX) / this.tileWidth);
+            const row = Math.floor((y - layer.offsetY) / this.tileHeight);
+            const gid = layer.getGid(col, row);
+            if (!gid) continue;
+
+            const tile = this.getTileData(gid);
+            return {
+                gid,
+                col,
+                row,
+                layer,
+                tileset: this.getTileset(gid),
+                type: tile?.type || '',
+                properties: tile?.properties || {},
+                collides: layer.collides || (tile?.collides ?? false)
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Change a tile (e.g. a broken wall) and update collision
+     * @param {string} layerName
+     * @param {number} col
+     * @param {number} row
+     * @param {number} gid - Global id, optionally with flip flags (0 clears the cell)
+     */
+    setTile(layerName, col, row, gid) {
+        const layer = this.getLayer(layerName);
+        if (!(layer instanceof TileLayer)) {
+            console.warn(`Tilemap has no tile layer named ${layerName}`);
+            return;
+        }
+        if (col < 0 || row < 0 || col >= layer.width || row >= layer.height) return;
+
+        layer.data[row * layer.width + col] = gid;
+        this.updateCollision(col, row);
+    }
+
+    /**
+     * Recompute whether a cell is solid
+     * @private
+     */
+    updateCollision(col, row) {
+        if (col >= this.width || row >= this.height) return;
+
+        let solid = false;
+        for (const layer of this.tileLayers) {
+            const gid = layer.getGid(col, row);
+            if (gid && (layer.collides || this.getTileData(gid)?.collides)) {
+                solid = true;
+                break;
+            }
+        }
+        this.collisionGrid.set(col, row, solid);
+    }
+
+    /**
+     * Check whether a cell is solid
+     * @param {number} col
+     * @param {number} row
+     * @returns {boolean} True outside the map too
+     */
+    isSolidTile(col, row) {
+        return this.collisionGrid.get(col, row);
+    }
+
+    /**
+     * Check if a point is inside a solid tile
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @returns {boolean}
+     */
+    checkCollision(x, y) {
+        return this.collisionGrid.isSolidAt(x, y);
+    }
+
+    /**
+     * Check if a rectangle overlaps a solid tile
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {number} width - Rectangle width
+     * @param {number} height - Rectangle height
+     * @returns {boolean}
+     */
+    checkRectCollision(x, y, width, height) {
+        // Same pixel coverage as Scene.checkRectCollision
+        x = Math.floor(x);
+        y = Math.floor(y);
+        width = Math.max(1, Math.floor(width));
+        height = Math.max(1, Math.floor(height));
+        return this.collisionGrid.rectHasSolid(x, y, width, height);
+    }
+
+    /**
+     * Check if a circle overlaps a solid tile
+     * @param {number} x - Centre X
+     * @param {number} y - Centre Y
+     * @param {number} radius
+     * @returns {boolean}
+     */
+    checkCircleCollision(x, y, radius) {
+        return this.collisionGrid.circleHasSolid(x, y, radius);
+    }
+
+    /**
+     * Find where a line segment first enters a solid tile
+     * @param {number} x0 - Start X
+     * @param {number} y0 - Start Y
+     * @param {number} x1 - End X
+     * @param {number} y1 - End Y
+     * @returns {{x: number, y: number, col: number, row: number, distance: number, normal: {x: number, y: number}}|null}
+     */
+    checkLineCollision(x0, y0, x1, y1) {
+        return this.collisionGrid.castLine(x0, y0, x1, y1);
+    }
+
+    /**
+     * Draw the tiles inside a world rectangle
+     * @param {CanvasRenderingContext2D} ctx - Context in world space
+     * @param {{x: number, y: number, width: number, height: number}} bounds - Visible world area
+     * @param {Object} options - foreground: draw the layers marked foreground instead of the others
+     */
+    render(ctx, bounds, options = {}) {
+        const foreground = options.foreground ?? false;
+        for (const layer of this.tileLayers) {
+            if (layer.visible && layer.opacity > 0 && layer.foreground === foreground) {
+                this.renderLayer(ctx, layer, bounds);
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    renderLayer(ctx, layer, bounds) {
+        const left = bounds.x - layer.offsetX;
+        const top = bounds.y - layer.offsetY;
+        const startCol = Math.max(0, Math.floor(left / this.tileWidth) - this.overflowCols);
+        const startRow = Math.max(0, Math.floor(top / this.tileHeight));
+        const endCol = Math.min(layer.width - 1, Math.floor((left + bounds.width) / this.tileWidth));
+        const endRow = Math.min(layer.height - 1, Math.floor((top + bounds.height) / this.tileHeight) + this.overflowRows);
+
+        ctx.save();
+        ctx.globalAlpha *= layer.opacity;
+        for (let row = startRow; row <= endRow; row++) {
+            for (let col = startCol; col <= endCol; col++) {
+                const gid = layer.data[row * layer.width + col];
+                if (gid) {
+                    this.drawTile(ctx, gid, layer.offsetX + col * this.tileWidth, layer.offsetY + row * this.tileHeight);
+                }
+            }
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Draw one tile in its cell, applying Tiled's flip flags
+     * @private
+     */
+    drawTile(ctx, rawGid, cellX, cellY) {
+        const tileset = this.getTileset(rawGid);
+        if (!tileset) return;
+        const source = tileset.getSourceRect((rawGid & GID_MASK) - tileset.firstGid);
+        if (!source) return;
+
+        // Tiles sit on the bottom-left corner of their cell
+        const { image, x, y, width, height } = source;
+        const drawX = cellX + tileset.offsetX;
+        const drawY = cellY + this.tileHeight - height + tileset.offsetY;
+
+        if (!(rawGid & FLIP_MASK)) {
+            ctx.drawImage(image, x, y, width, height, drawX, drawY, width, height);
+            return;
+        }
+
+        // Tiled flips diagonally (swapping axes) first, then horizontally and vertically
+        ctx.save();
+        ctx.translate(drawX + width / 2, drawY + height / 2);
+        ctx.scale(rawGid & FLIPPED_HORIZONTALLY ? -1 : 1, rawGid & FLIPPED_VERTICALLY ? -1 : 1);
+        if (rawGid & FLIPPED_DIAGONALLY) {
+            ctx.rotate(Math.PI / 2);
+            ctx.scale(1, -1);
+        }
+        ctx.drawImage(image, x, y, width, height, -width / 2, -height / 2, width, height);
+        ctx.restore();
+    }
+
+    /**
+     * Debug: shade solid tiles inside a world rectangle
+     * @param {CanvasRenderingContext2D} ctx - Context in world space
+     * @param {{x: number, y: number, width: number, height: number}} bounds - Visible world area
+     */
+    renderCollision(ctx, bounds) {
+        const startCol = Math.floor(bounds.x / this.tileWidth);
+        const startRow = Math.floor(bounds.y / this.tileHeight);
+        const endCol = Math.floor((bounds.x + bounds.width) / this.tileWidth);
+        const endRow = Math.floor((bounds.y + bounds.height) / this.tileHeight);
+
+        ctx.save();
+        ctx.globalAlpha = 0.5;
+        ctx.fillStyle = '#ff0000';
+        this.collisionGrid.forEachSolidCell(startCol, startRow, endCol, endRow, (col, row) => {
+            ctx.fillRect(col * this.tileWidth, row * this.tileHeight, this.tileWidth, this.tileHeight);
+        });
+        ctx.restore();
+    }
+}
+
+/**
+ * Turn Tiled's property list ([{ name, type, value }]) into an object
+ * @param {Array|Object} properties
+ * @returns {Object}
+ */
+function parseProperties(properties) {
+    if (!properties) return {};
+    if (!Array.isArray(properties)) return { ...properties };
+
+    const result = {};
+    for (const { name, type, value } of properties) {
+        if (type === 'int' || type === 'float') {
+            result[name] = Number(value);
+        } else if (type === 'bool') {
+            result[name] = value === true || value === 'true';
+        } else {
+            result[name] = value;
+        }
+    }
+    return result;
+}
+
+/**
+ * Wait for every promise, then throw the first failure (so nothing is still loading
+ * when a failed map releases its assets)
+ * @param {Array<Promise>} promises
+ * @returns {Promise<Array>}
+ */
+async function settle(promises) {
+    const results = await Promise.allSettled(promises);
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) throw failure.reason;
+    return results.map(result => result.value);
+}
+
+/**
+ * Resolve a path relative to the file that references it
+ * @param {string} base - Path of the referencing file
+ * @param {string} path
+ * @returns {string}
+ */
+function resolvePath(base, path) {
+    if (/^([a-z]+:|\/)/i.test(path)) return path;
+
+    const parts = base.split('/').slice(0, -1);
+    for (const part of path.split('/')) {
+        if (part === '..' && parts.length > 0 && parts[parts.length - 1] !== '..') {
+            parts.pop();
+        } else if (part !== '.') {
+            parts.push(part);
+        }
+    }
+    return parts.join('/');
+}
+
+/**
+ * Decode base64 (optionally zlib or gzip compressed) tile data into arrays, in place
+ * @param {Array<Object>} layers
+ */
+async function decodeLayers(layers) {
+    for (const layer of layers) {
+        if (layer.type === 'group') {
+            await decodeLayers(layer.layers || []);
+        }
+        if (layer.type !== 'tilelayer' || layer.encoding !== 'base64') continue;
+
+        let bytes = Uint8Array.from(atob(String(layer.data).trim()), char => char.charCodeAt(0));
+        if (layer.compression === 'zlib' || layer.compression === 'gzip') {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error(`${layer.compression} compressed layers need DecompressionStream support`);
+            }
+            const format = layer.compression === 'zlib' ? 'deflate' : 'gzip';
+            const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+            bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+        } else if (layer.compression) {
+            throw new Error(`layer "${layer.name}" uses unsupported ${layer.compression} compression`);
+        }
+
+        // Little-endian 32-bit global ids
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const data = new Uint32Array(bytes.byteLength / 4);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = view.getUint32(i * 4, true);
+        }
+        layer.data = data;
+        delete layer.encoding;
+        delete layer.compression;
+    }
+}
+
+/**
+ * Convert a TMX map or TSX tileset into Tiled's JSON layout
+ * @param {string} text - XML source
+ * @param {string} path - File path, for error messages
+ * @returns {Object}
+ */
+function parseTiledXML(text, path) {
+    const root = parseXML(text);
+    if (root?.name === 'map') return convertMap(root);
+    if (root?.name === 'tileset') return convertTileset(root);
+    throw new Error(`${path} is not a Tiled map or tileset`);
+}
+
+function convertMap(element) {
+    const attributes = element.attributes;
+    return {
+        orientation: attributes.orientation || 'orthogonal',
+        width: Number(attributes.width),
+        height: Number(attributes.height),
+        tilewidth: Number(attributes.tilewidth),
+        tileheight: Number(attributes.tileheight),
+        infinite: attributes.infinite === '1',
+        backgroundcolor: attributes.backgroundcolor,
+        properties: convertProperties(element),
+        tilesets: element.children.filter(child => child.name === 'tileset').map(convertTileset),
+        layers: convertLayers(element)
+    };
+}
+
+function convertTileset(element) {
+    const attributes = element.attributes;
+    if (attributes.source) {
+        return { firstgid: Number(attributes.firstgid), source: attributes.source };
+    }
+
+    const image = findChild(element, 'image');
+    const offset = findChild(element, 'tileoffset');
+    return {
+        firstgid: attributes.firstgid ? Number(attributes.firstgid) : undefined,
+        name: attributes.name,
+        tilewidth: Number(attributes.tilewidth),
+        tileheight: Number(attributes.tileheight),
+        spacing: Number(attributes.spacing || 0),
+        margin: Number(attributes.margin || 0),
+        tilecount: Number(attributes.tilecount || 0),
+        columns: Number(attributes.columns || 0),
+        image: image?.attributes.source,
+        tileoffset: offset ? { x: Number(offset.attributes.x || 0), y: Number(offset.attributes.y || 0) } : undefined,
+        properties: convertProperties(element),
+        tiles: element.children.filter(child => child.name === 'tile').map(tile => {
+            const tileImage = findChild(tile, 'image');
+            const shapes = findChild(tile, 'objectgroup');
+            return {
+                id: Number(tile.attributes.id),
+                type: tile.attributes.type || tile.attributes.class,
+                properties: convertProperties(tile),
+                image: tileImage?.attributes.source,
+                imagewidth: tileImage ? Number(tileImage.attributes.width) : undefined,
+                imageheight: tileImage ? Number(tileImage.attributes.height) : undefined,
+                objectgroup: shapes ? { objects: shapes.children.filter(child => child.name === 'object') } : undefined
+            };
+        })
+    };
+}
+
+function convertLayers(element) {
+    const layers = [];
+    for (const child of element.children) {
+        const attributes = child.attributes;
+        const common = {
+            id: attributes.id ? Number(attributes.id) : undefined,
+            name: attributes.name,
+            visible: attributes.visible !== '0',
+            opacity: attributes.opacity ? Number(attributes.opacity) : 1,
+            offsetx: Number(attributes.offsetx || 0),
+            offsety: Number(attributes.offsety || 0),
+            properties: convertProperties(child)
+        };
+
+        if (child.name === 'layer') {
+            layers.push({
+                type: 'tilelayer',
+                ...common,
+                width: Number(attributes.width),
+                height: Number(attributes.height),
+                ...convertLayerData(findChild(child, 'data'))
+            });
+        } else if (child.name === 'objectgroup') {
+            layers.push({
+                type: 'objectgroup',
+                ...common,
+                objects: child.children.filter(object => object.name === 'object').map(convertObject)
+            });
+        } else if (child.name === 'group') {
+            layers.push({ type: 'group', ...common, layers: convertLayers(child) });
+        }
+    }
+    return layers;
+}
+
+function convertLayerData(data) {
+    if (!data) return { data: [] };
+    if (findChild(data, 'chunk')) {
+        throw new Error('infinite maps are not supported, turn off "Infinite" in the map properties');
+    }
+
+    const encoding = data.attributes.encoding;
+    if (encoding === 'csv') {
+        return { data: data.text.split(',').map(value => Number(value.trim())) };
+    }
+    if (encoding === 'base64') {
+        return { data: data.text.trim(), encoding, compression: data.attributes.compression };
+    }
+
+    // Unencoded: one <tile gid="..."/> per cell
+    return { data: data.children.filter(tile => tile.name === 'tile').map(tile => Number(tile.attributes.gid || 0)) };
+}
+
+function convertObject(element) {
+    const attributes = element.attributes;
+    const parsePoints = points => points.trim().split(/\s+/).map(pair => {
+        const [x, y] = pair.split(',').map(Number);
+        return { x, y };
+    });
+    const polygon = findChild(element, 'polygon');
+    const polyline = findChild(element, 'polyline');
+
+    return {
+        id: Number(attributes.id),
+        name: attributes.name,
+        type: attributes.type || attributes.class,
+        x: Number(attributes.x || 0),
+        y: Number(attributes.y || 0),
+        width: Number(attributes.width || 0),
+        height: Number(attributes.height || 0),
+        rotation: Number(attributes.rotation || 0),
+        visible: attributes.visible !== '0',
+        gid: attributes.gid ? Number(attributes.gid) : undefined,
+        point: !!findChild(element, 'point'),
+        ellipse: !!findChild(element, 'ellipse'),
+        polygon: polygon ? parsePoints(polygon.attributes.points) : undefined,
+        polyline: polyline ? parsePoints(polyline.attributes.points) : undefined,
+        properties: convertProperties(element)
+    };
+}
+
+function convertProperties(element) {
+    const properties = findChild(element, 'properties');
+    if (!properties) return [];
+    return properties.children.filter(child => child.name === 'property').map(property => ({
+        name: property.attributes.name,
+        type: property.attributes.type || 'string',
+        // Multi-line strings are stored as text content
+        value: property.attributes.value ?? property.text
+    }));
+}
+
+function findChild(element, name) {
+    return element.children.find(child => child.name === name) || null;
+}
+
+/**
+ * Minimal XML reader for Tiled files (no DOM needed, so headless engines can load TMX)
+ * @param {string} text
+ * @returns {{name: string, attributes: Object, children: Array, text: string}} Root element
+ */
+function parseXML(text) {
+    const document = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [document];
+    const token = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+
+    let match;
+    while ((match = token.exec(text))) {
+        const parent = stack[stack.length - 1];
+        const [, cdata, closing, opening, attributeText, selfClosing, content] = match;
+
+        if (cdata !== undefined) {
+            parent.text += cdata;
+        } else if (closing) {
+            if (parent.name !== closing) {
+                throw new Error(`malformed XML: unexpected </${closing}>`);
+            }
+            stack.pop();
+        } else if (opening) {
+            const element = { name: opening, attributes: {}, children: [], text: '' };
+            for (const [, name, doubleQuoted, singleQuoted] of attributeText.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+                element.attributes[name] = decodeEntities(doubleQuoted ?? singleQuoted);
+            }
+            parent.children.push(element);
+            if (!selfClosing) {
+                stack.push(element);
+            }
+        } else if (content !== undefined) {
+            parent.text += decodeEntities(content);
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`malformed XML: <${stack[stack.length - 1].name}> is not closed`);
+    }
+    return document.children[0] || null;
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1)));
+        }
+        return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[code.toLowerCase()];
+    });
+}
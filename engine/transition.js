@@ -0,0 +1,160 @@
+/**
+ * Animated scene changes drawn by the cameras: fade, crossfade, wipe and iris
+ */
+export class SceneTransition {
+    /**
+     * @param {string} type - 'fade', 'crossfade', 'wipe' or 'iris'
+     * @param {Object} options - duration (seconds for the whole transition, default 0.6), color,
+     *     direction (wipe: 'left', 'right', 'up' or 'down'), easing
+     */
+    constructor(type = 'fade', options = {}) {
+        if (!SceneTransition.types.includes(type)) {
+            throw new Error(`Unknown scene transition: ${type}`);
+        }
+
+        this.type = type;
+        this.duration = options.duration ?? 0.6;
+        this.color = options.color || '#000000';
+        this.direction = options.direction || 'right';
+        this.easing = options.easing || 'easeInOutQuad';
+
+        // 'out' covers the old scene, 'in' reveals the new one (crossfade only plays 'in')
+        this.phase = 'out';
+        this.progress = 0;
+
+        // Camera -> canvas holding the old scene's last frame (crossfade)
+        this.snapshots = new Map();
+    }
+
+    /**
+     * Build a transition from a type name, an options object with a type, or pass one through
+     * @param {string|Object|SceneTransition} transition
+     * @returns {SceneTransition}
+     */
+    static from(transition) {
+        if (transition instanceof SceneTransition) return transition;
+        if (typeof transition === 'string') return new SceneTransition(transition);
+        return new SceneTransition(transition.type, transition);
+    }
+
+    /**
+     * Whether the old scene is hidden before the switch (everything except crossfade)
+     * @returns {boolean}
+     */
+    get covers() {
+        return this.type !== 'crossfade';
+    }
+
+    /**
+     * Capture what the cameras show before the scene changes
+     * @param {Engine} engine
+     */
+    start(engine) {
+        if (this.type !== 'crossfade' || typeof document === 'undefined') return;
+
+        for (const camera of engine.getCameras()) {
+            if (typeof camera.canvas.getContext !== 'function') continue;
+            const snapshot = document.createElement('canvas');
+            snapshot.width = camera.canvas.width;
+            snapshot.height = camera.canvas.height;
+            snapshot.getContext('2d').drawImage(camera.canvas, 0, 0);
+            this.snapshots.set(camera, snapshot);
+        }
+    }
+
+    /**
+     * Animate one phase with an engine tween
+     * @param {Engine} engine
+     * @param {string} phase - 'out' or 'in'
+     * @returns {Promise<boolean>}
+     */
+    play(engine, phase) {
+        this.phase = phase;
+        this.progress = 0;
+        const duration = this.covers ? this.duration / 2 : this.duration;
+        return engine.tween(this, { progress: 1 }, duration, this.easing);
+    }
+
+    /**
+     * Show the transition fully covering the screen (used when there is no old scene)
+     */
+    cover() {
+        this.phase = 'out';
+        this.progress = 1;
+    }
+
+    /**
+     * Render the scene stack through a camera with the transition on top
+     * @param {Camera} camera
+     * @param {Engine} engine
+     * @param {number} alpha - Interpolation factor
+     */
+    render(camera, engine, alpha) {
+        engine.renderScenes(camera, alpha);
+
+        const ctx = camera.ctx;
+        const viewport = camera.getViewport();
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(viewport.x, viewport.y, viewport.width, viewport.height);
+        ctx.clip();
+
+        if (this.type === 'crossfade') {
+            const snapshot = this.snapshots.get(camera);
+            if (snapshot) {
+                ctx.globalAlpha = 1 - this.progress;
+                ctx.drawImage(
+                    snapshot,
+                    viewport.x, viewport.y, viewport.width, viewport.height,
+                    viewport.x, viewport.y, viewport.width, viewport.height
+                );
+            }
+        } else {
+            ctx.fillStyle = this.color;
+            this.drawCover(ctx, viewport);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Fill the covered part of the viewport
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {{x: number, y: number, width: number, height: number}} viewport
+     * @private
+     */
+    drawCover(ctx, viewport) {
+        const { x, y, width, height } = viewport;
+        const covered = this.phase === 'out' ? this.progress : 1 - this.progress;
+
+        if (this.type === 'fade') {
+            ctx.globalAlpha = covered;
+            ctx.fillRect(x, y, width, height);
+        } else if (this.type === 'iris') {
+            // Everything outside a shrinking (then growing) circle
+            const radius = Math.hypot(width, height) / 2 * (1 - covered);
+            ctx.beginPath();
+            ctx.rect(x, y, width, height);
+            ctx.arc(x + width / 2, y + height / 2, radius, 0, Math.PI * 2);
+            ctx.fill('evenodd');
+        } else {
+            // The bar enters from one edge and leaves through the opposite one
+            const horizontal = this.direction === 'left' || this.direction === 'right';
+            const size = horizontal ? width : height;
+            const forwards = this.direction === 'right' || this.direction === 'down';
+            let start = this.phase === 'out' ? 0 : size * this.progress;
+            let end = this.phase === 'out' ? size * this.progress : size;
+            if (!forwards) {
+                [start, end] = [size - end, size - start];
+            }
+
+            if (horizontal) {
+                ctx.fillRect(x + start, y, end - start, height);
+            } else {
+                ctx.fillRect(x, y + start, width, end - start);
+            }
+        }
+    }
+}
+
+SceneTransition.types = ['fade', 'crossfade', 'wipe', 'iris'];
@@ -0,0 +1,664 @@
+/**
+ * Tweens, sequences, parallel groups and keyframe animation of object properties.
+ * Anything with numeric properties can be animated: entities, cameras, plain objects.
+ */
+
+/**
+ * Easing functions mapping linear progress (0-1) to eased progress
+ */
+export const Easing = {
+    linear: t => t,
+    easeInQuad: t => t * t,
+    easeOutQuad: t => t * (2 - t),
+    easeInOutQuad: t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+    easeInSine: t => 1 - Math.cos(t * Math.PI / 2),
+    easeOutSine: t => Math.sin(t * Math.PI / 2),
+    easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2,
+    easeInBack: t => 2.70158 * t * t * t - 1.70158 * t * t,
+    easeOutBack: t => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2),
+    easeOutElastic: t => {
+        if (t === 0 || t === 1) return t;
+        return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * (2 * Math.PI) / 3) + 1;
+    },
+    easeOutBounce: t => {
+        if (t < 1 / 2.75) return 7.5625 * t * t;
+        if (t < 2 / 2.75) return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
+        if (t < 2.5 / 2.75) return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
+        return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
+    },
+    easeInBounce: t => 1 - Easing.easeOutBounce(1 - t)
+};
+
+/**
+ * Look up an easing by name, or pass a function through
+ * @param {string|Function} easing
+ * @returns {Function}
+ */
+function resolveEasing(easing = 'linear') {
+    if (typeof easing === 'function') return easing;
+    if (!Easing[easing]) {
+        throw new Error(`Unknown easing: ${easing}`);
+    }
+    return Easing[easing];
+}
+
+/**
+ * Expand a property and its value into the numeric paths it animates.
+ * Vector properties such as Entity.scale ({x, y}) accept a number for both axes.
+ * @param {Object} target
+ * @param {string} key - Property name
+ * @param {number|Object} value - Number, or an object of numbers for a vector property
+ * @returns {Array<{path: string[], value: number}>}
+ */
+function expandProperty(target, key, value) {
+    const current = target[key];
+    if (value !== null && typeof value === 'object') {
+        return Object.entries(value).map(([axis, axisValue]) => ({ path: [key, axis], value: axisValue }));
+    }
+    if (current !== null && typeof current === 'object') {
+        return Object.keys(current)
+            .filter(axis => typeof current[axis] === 'number')
+            .map(axis => ({ path: [key, axis], value }));
+    }
+    return [{ path: [key], value }];
+}
+
+function getPath(target, path) {
+    return path.length === 1 ? target[path[0]] : target[path[0]][path[1]];
+}
+
+function setPath(target, path, value) {
+    if (path.length === 1) {
+        target[path[0]] = value;
+    } else {
+        target[path[0]][path[1]] = value;
+    }
+}
+
+/**
+ * Shared timing for tweens, sequences, groups and keyframes: delay, repeat, yoyo,
+ * callbacks and cancellation. Subclasses implement begin(), seek() and targets().
+ */
+class TweenBase {
+    /**
+     * @param {Object} options - delay (seconds), repeat (extra plays, Infinity for forever),
+     *     yoyo (reverse on every other play), onStart, onUpdate, onRepeat, onComplete
+     */
+    constructor(options = {}) {
+        this.delay = options.delay || 0;
+        this.repeat = options.repeat || 0;
+        this.yoyo = options.yoyo === true;
+        this.onStart = options.onStart || null;
+        this.onUpdate = options.onUpdate || null;
+        this.onRepeat = options.onRepeat || null;
+        this.onComplete = options.onComplete || null;
+
+        this.duration = 0;        // Length of one play in seconds
+        this.time = 0;            // Seconds into the current play
+        this.delayTime = 0;       // Seconds of delay elapsed
+        this.playCount = 0;       // Completed plays
+        this.started = false;
+        this.initialized = false; // Start values captured
+        this.paused = false;
+        this.finished = false;
+        this.cancelled = false;
+        this.manager = null;      // TweenManager updating this tween, if any
+
+        // Resolves with true when finished, false when cancelled
+        this.promise = new Promise(resolve => {
+            this.resolvePromise = resolve;
+        });
+    }
+
+    /**
+     * Whether this play runs backwards (yoyo)
+     * @returns {boolean}
+     */
+    get reversed() {
+        return this.yoyo && this.playCount % 2 === 1;
+    }
+
+    /**
+     * Advance by a time step
+     * @param {number} deltaTime - Seconds
+     * @returns {number} Seconds left over after finishing (0 while still running)
+     */
+    update(deltaTime) {
+        if (this.finished || this.paused) return 0;
+
+        if (this.targets().some(target => target?.destroyed === true)) {
+            this.cancel();
+            return 0;
+        }
+
+        deltaTime = this.advanceDelay(deltaTime);
+        if (deltaTime === null) return 0;
+        this.start();
+
+        this.time += deltaTime;
+        while (this.time >= this.duration) {
+            this.seek(this.reversed ? 0 : this.duration);
+            this.playCount++;
+
+            // Zero-length plays can't consume time, so they only play once
+            if (this.playCount > this.repeat || this.duration <= 0) {
+                const leftover = this.time - this.duration;
+                if (this.onUpdate) this.onUpdate(this);
+                this.complete();
+                return leftover;
+            }
+
+            this.time -= this.duration;
+            this.restart();
+            if (this.onRepeat) this.onRepeat(this);
+        }
+
+        this.seek(this.reversed ? this.duration - this.time : this.time);
+        if (this.onUpdate) this.onUpdate(this);
+        return 0;
+    }
+
+    /**
+     * Count down the delay
+     * @param {number} deltaTime - Seconds
+     * @returns {number|null} Time left after the delay, or null while still waiting
+     * @protected
+     */
+    advanceDelay(deltaTime) {
+        if (this.delayTime >= this.delay) return deltaTime;
+        this.delayTime += deltaTime;
+        return this.delayTime < this.delay ? null : this.delayTime - this.delay;
+    }
+
+    /**
+     * Begin a play, capturing start values the first time
+     * @protected
+     */
+    start() {
+        if (this.started) return;
+        this.started = true;
+        if (!this.initialized) {
+            this.initialized = true;
+            this.begin();
+        }
+        if (this.onStart) this.onStart(this);
+    }
+
+    /**
+     * Rewind so a sequence or group can play this again. Captured start values are
+     * kept, so every play runs between the same values.
+     * @protected
+     */
+    reset() {
+        if (this.initialized) {
+            this.seek(0);
+        }
+        this.time = 0;
+        this.delayTime = 0;
+        this.playCount = 0;
+        this.started = false;
+        this.finished = false;
+        this.cancelled = false;
+    }
+
+    /**
+     * Mark as finished and notify listeners
+     * @private
+     */
+    complete() {
+        this.finished = true;
+        if (this.onComplete) this.onComplete(this);
+        this.resolvePromise(true);
+    }
+
+    /**
+     * Stop where it is without completing; properties keep their current values
+     */
+    cancel() {
+        if (this.finished) return;
+        this.finished = true;
+        this.cancelled = true;
+        this.resolvePromise(false);
+    }
+
+    /**
+     * Jump to the end state and complete
+     */
+    finish() {
+        if (this.finished) return;
+        this.start();
+        const endsReversed = this.yoyo && this.repeat % 2 === 1;
+        this.seek(endsReversed ? 0 : this.duration);
+        this.complete();
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    /**
+     * Promise-style completion so tweens can be awaited
+     * @param {Function} onFulfilled - Called with true when finished, false when cancelled
+     * @param {Function} onRejected
+     * @returns {Promise<boolean>}
+     */
+    then(onFulfilled, onRejected) {
+        return this.promise.then(onFulfilled, onRejected);
+    }
+
+    /**
+     * Whether this animates the given object
+     * @param {Object} target
+     * @returns {boolean}
+     */
+    hasTarget(target) {
+        return this.targets().includes(target);
+    }
+
+    /**
+     * Capture start values when the first play begins
+     * @protected
+     */
+    begin() {}
+
+    /**
+     * Rewind between repeated plays
+     * @protected
+     */
+    restart() {}
+
+    /**
+     * Apply the state at a time within one play
+     * @param {number} time - Seconds, 0 to duration
+     * @protected
+     */
+    seek(time) {}
+
+    /**
+     * Objects animated by this tween
+     * @returns {Object[]}
+     * @protected
+     */
+    targets() {
+        return [];
+    }
+}
+
+/**
+ * Interpolates numeric properties of a target to end values over a duration
+ */
+export class Tween extends TweenBase {
+    /**
+     * @param {Object} target - Object to animate (Entity, Camera, ...)
+     * @param {Object} properties - End values, e.g. { x: 200, alpha: 0, scale: 2 }
+     * @param {number} duration - Seconds
+     * @param {string|Function} easing - Easing name or function
+     * @param {Object} options - See TweenBase, plus from (start values instead of the current ones)
+     */
+    constructor(target, properties, duration, easing = 'linear', options = {}) {
+        super(options);
+        this.target = target;
+        this.properties = properties;
+        this.duration = Math.max(0, duration);
+        this.easing = resolveEasing(easing);
+        this.from = options.from || null;
+        this.tracks = [];          // { path, start, end }
+    }
+
+    begin() {
+        if (this.from) {
+            for (const [key, value] of Object.entries(this.from)) {
+                for (const { path, value: start } of expandProperty(this.target, key, value)) {
+                    setPath(this.target, path, start);
+                }
+            }
+        }
+
+        this.tracks = [];
+        for (const [key, value] of Object.entries(this.properties)) {
+            for (const { path, value: end } of expandProperty(this.target, key, value)) {
+                this.tracks.push({ path, start: getPath(this.target, path), end });
+            }
+        }
+    }
+
+    seek(time) {
+        const progress = this.duration > 0 ? this.easing(time / this.duration) : 1;
+        for (const { path, start, end } of this.tracks) {
+            setPath(this.target, path, start + (end - start) * progress);
+        }
+    }
+
+    targets() {
+        return [this.target];
+    }
+}
+
+/**
+ * Animates properties through timed keyframes. Each keyframe's easing shapes the
+ * segment leading into it.
+ */
+export class KeyframeAnimation extends TweenBase {
+    /**
+     * @param {Object} target - Object to animate
+     * @param {Object} tracks - Property name -> [{ time, value, easing }], e.g.
+     *     { x: [{ time: 0, value: 0 }, { time: 1, value: 100, easing: 'easeOutQuad' }] }
+     * @param {Object} options - See TweenBase, plus loop (shorthand for repeat: Infinity)
+     */
+    constructor(target, tracks, options = {}) {
+        super({ ...options, repeat: options.loop ? Infinity : options.repeat });
+        this.target = target;
+        this.tracks = [];          // { key, keyframes }
+
+        for (const [key, keyframes] of Object.entries(tracks)) {
+            if (!Array.isArray(keyframes) || keyframes.length === 0) {
+                throw new Error(`Keyframe track "${key}" needs at least one keyframe`);
+            }
+
+            const sorted = keyframes
+                .map(keyframe => ({ ...keyframe, easing: resolveEasing(keyframe.easing) }))
+                .sort((a, b) => a.time - b.time);
+            this.tracks.push({ key, keyframes: sorted });
+            this.duration = Math.max(this.duration, sorted[sorted.length - 1].time);
+        }
+    }
+
+    seek(time) {
+        for (const { key, keyframes } of this.tracks) {
+            let value;
+            const next = keyframes.findIndex(keyframe => keyframe.time > time);
+
+            if (next === -1) {
+                value = keyframes[keyframes.length - 1].value;
+            } else if (next === 0) {
+                value = keyframes[0].value;
+            } else {
+                const from = keyframes[next - 1];
+                const to = keyframes[next];
+                const progress = to.easing((time - from.time) / (to.time - from.time));
+                value = interpolate(from.value, to.value, progress);
+            }
+
+            for (const { path, value: pathValue } of expandProperty(this.target, key, value)) {
+                setPath(this.target, path, pathValue);
+            }
+        }
+    }
+
+    targets() {
+        return [this.target];
+    }
+}
+
+/**
+ * Interpolate numbers, or objects of numbers such as { x, y }
+ * @param {number|Object} from
+ * @param {number|Object} to
+ * @param {number} progress
+ * @returns {number|Object}
+ */
+function interpolate(from, to, progress) {
+    if (typeof from === 'number') {
+        return from + (to - from) * progress;
+    }
+    const result = {};
+    for (const axis of Object.keys(to)) {
+        result[axis] = from[axis] + (to[axis] - from[axis]) * progress;
+    }
+    return result;
+}
+
+/**
+ * Base for animations built from other tweens
+ * @private
+ */
+class TweenComposite extends TweenBase {
+    /**
+     * @param {Array<TweenBase|number|Function>} steps - Tweens; numbers are pauses in seconds
+     *     and functions are called when reached
+     * @param {Object} options - See TweenBase (yoyo is not supported)
+     */
+    constructor(steps, options = {}) {
+        super({ ...options, yoyo: false });
+        this.steps = steps.map(step => {
+            if (typeof step === 'number') return new TweenDelay(step);
+            if (typeof step === 'function') return new TweenCall(step);
+
+            // Take over tweens the engine was already updating
+            step.manager?.remove(step);
+            return step;
+        });
+    }
+
+    restart() {
+        // Rewind last to first so the earliest step's start values win
+        for (const step of this.steps.slice().reverse()) {
+            step.reset();
+        }
+    }
+
+    reset() {
+        super.reset();
+        this.restart();
+    }
+
+    cancel() {
+        if (this.finished) return;
+        for (const step of this.steps) {
+            step.cancel();
+        }
+        super.cancel();
+    }
+
+    targets() {
+        return this.steps.flatMap(step => step.targets());
+    }
+}
+
+/**
+ * Runs tweens one after another
+ */
+export class TweenSequence extends TweenComposite {
+    constructor(steps, options = {}) {
+        super(steps, options);
+        this.index = 0;
+    }
+
+    update(deltaTime) {
+        if (this.finished || this.paused) return 0;
+
+        deltaTime = this.advanceDelay(deltaTime);
+        if (deltaTime === null) return 0;
+        this.start();
+
+        // Hand time left over by a finished step to the next one
+        let remaining = deltaTime;
+        while (this.index < this.steps.length) {
+            const step = this.steps[this.index];
+            remaining = step.update(remaining);
+            if (!step.finished) {
+                if (this.onUpdate) this.onUpdate(this);
+                return 0;
+            }
+            this.index++;
+        }
+
+        this.playCount++;
+        if (this.playCount <= this.repeat) {
+            this.restart();
+            if (this.onRepeat) this.onRepeat(this);
+            if (this.onUpdate) this.onUpdate(this);
+            return 0;
+        }
+
+        if (this.onUpdate) this.onUpdate(this);
+        this.complete();
+        return remaining;
+    }
+
+    restart() {
+        super.restart();
+        this.index = 0;
+    }
+
+    finish() {
+        if (this.finished) return;
+        this.start();
+        for (const step of this.steps.slice(this.index)) {
+            step.finish();
+        }
+        this.complete();
+    }
+}
+
+/**
+ * Runs tweens in parallel, finishing when the last one does
+ */
+export class TweenGroup extends TweenComposite {
+    update(deltaTime) {
+        if (this.finished || this.paused) return 0;
+
+        deltaTime = this.advanceDelay(deltaTime);
+        if (deltaTime === null) return 0;
+        this.start();
+
+        let leftover = Infinity;
+        for (const step of this.steps) {
+            if (step.finished) continue;
+            leftover = Math.min(leftover, step.update(deltaTime));
+        }
+        if (this.onUpdate) this.onUpdate(this);
+
+        if (!this.steps.every(step => step.finished)) return 0;
+
+        this.playCount++;
+        if (this.playCount <= this.repeat) {
+            this.restart();
+            if (this.onRepeat) this.onRepeat(this);
+            return 0;
+        }
+
+        this.complete();
+        return leftover === Infinity ? deltaTime : leftover;
+    }
+
+    finish() {
+        if (this.finished) return;
+        this.start();
+        for (const step of this.steps) {
+            step.finish();
+        }
+        this.complete();
+    }
+}
+
+/**
+ * Pause inside a sequence
+ * @private
+ */
+class TweenDelay extends TweenBase {
+    constructor(seconds) {
+        super();
+        this.duration = Math.max(0, seconds);
+    }
+}
+
+/**
+ * Callback inside a sequence
+ * @private
+ */
+class TweenCall extends TweenBase {
+    constructor(callback) {
+        super({ onStart: callback });
+    }
+}
+
+/**
+ * Updates every running tween once per engine step
+ */
+export class TweenManager {
+    constructor() {
+        this.tweens = [];
+    }
+
+    /**
+     * Start updating a tween
+     * @param {TweenBase} tween
+     * @returns {TweenBase} The tween
+     */
+    add(tween) {
+        if (tween.manager === this) return tween;
+        tween.manager?.remove(tween);
+        tween.manager = this;
+        this.tweens.push(tween);
+        return tween;
+    }
+
+    /**
+     * Stop updating a tween without cancelling it
+     * @param {TweenBase} tween
+     */
+    remove(tween) {
+        const index = this.tweens.indexOf(tween);
+        if (index !== -1) {
+            this.tweens.splice(index, 1);
+        }
+        if (tween.manager === this) {
+            tween.manager = null;
+        }
+    }
+
+    /**
+     * Advance every tween and drop the finished ones
+     * @param {number} deltaTime - Seconds
+     */
+    update(deltaTime) {
+        // Iterate over a copy so callbacks can start or cancel tweens
+        for (const tween of this.tweens.slice()) {
+            try {
+                tween.update(deltaTime);
+            } catch (error) {
+                console.error('Error updating tween:', error);
+                tween.cancel();
+            }
+        }
+        this.tweens = this.tweens.filter(tween => {
+            if (!tween.finished) return true;
+            tween.manager = null;
+            return false;
+        });
+    }
+
+    /**
+     * Cancel every tween animating an object
+     * @param {Object} target
+     * @returns {number} Number of tweens cancelled
+     */
+    cancelTarget(target) {
+        let count = 0;
+        for (const tween of this.tweens) {
+            if (!tween.finished && tween.hasTarget(target)) {
+                tween.cancel();
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Cancel every running tween
+     */
+    cancelAll() {
+        for (const tween of this.tweens) {
+            tween.cancel();
+        }
+        this.tweens = [];
+    }
+}
@@ -1,6 +1,8 @@
+import { Engine, Camera, Scene, Entity, Player } from 'bark';
+
 const engine = new Engine();
 const mainCamera = new Camera(800, 600);
-window.mainCamera = mainCamera;
+engine.addCamera(mainCamera);
 window.engine = engine;
 
 engine.setDebug(true, {
@@ -10,39 +12,54 @@ engine.setDebug(true, {
     showEntityCount: true
 });
 
-const gameScene = new Scene();
+// Simulate at a constant 60 ticks per second, rendering in between
+engine.setTimestep('fixed', { tickRate: 60 });
+
+/**
+ * Main game scene; its assets load behind the engine's loading screen
+ */
+class GameScene extends Scene {
+    preload() {
+        return [
+            'assets/sprites/player.png',
+            'assets/sprites/enemy.png',
+            'assets/maps/map.png',
+            'assets/maps/map_col.png'
+        ];
+    }
+}
+
+const gameScene = new GameScene();
 var player;
 var enemy;
 
 async function initializeGame() {
     console.log('Bark Engine initializing...');
+
+    // Shows a progress bar until the scene's assets are ready (or the error if one fails)
+    engine.addScene('main', gameScene);
+    if (!await engine.loadScene('main')) return;
+
     try {
+        // Entities reach the engine through their scene, so add them before loading sprites
         player = new Player(400, 300);
-        await player.loadSprite('assets/sprites/player.png');
         gameScene.addEntity(player);
+        await player.loadSprite('assets/sprites/player.png');
 
         enemy = new Entity(700, 400);
-        await enemy.loadSprite('assets/sprites/enemy.png');
         gameScene.addEntity(enemy);
+        await enemy.loadSprite('assets/sprites/enemy.png');
 
         mainCamera.follow(player);
         mainCamera.setSmoothing(true, 0.1);
 
-        engine.addScene('main', gameScene);
-        engine.loadScene('main');
-
-        try {
-            await gameScene.loadMap(
-                'assets/maps/map.png',
-                'assets/maps/map_col.png',
-                32
-            );
-            mainCamera.setBounds(0, 0, 1920, 1080);
-            console.log('Map assets loaded successfully');
-        } catch (mapError) {
-            console.warn('Maps not loaded:', mapError);
-            mainCamera.setBounds(0, 0, 800, 600);
-        }
+        // Already cached by preload(), so these resolve straight away
+        await gameScene.loadMap(
+            'assets/maps/map.png',
+            'assets/maps/map_col.png'
+        );
+        mainCamera.setBounds(0, 0, 1920, 1080);
+        console.log('Map assets loaded successfully');
 
         engine.initializeSystems();
         console.log('Bark Engine started successfully');
@@ -1,4 +1,5 @@
 // scripts/EnemyShooter.js
+import { Entity } from '../engine/index.js';
 import Projectile from './Projectile.js';
 
 export default class EnemyShooter {
@@ -32,11 +33,17 @@ export default class EnemyShooter {
             height: 8,
         }
 
-        
+        // Gun muzzle as a child entity so it follows the enemy's position and rotation
+        this.muzzle = new Entity(
+            this.pointerBounds.offset.x * 2 + this.pointerBounds.width / 2,
+            this.pointerBounds.offset.y * 2 + this.pointerBounds.height / 2
+        );
+        this.muzzle.visible = false;
+        this.entity.addChild(this.muzzle);
     }
 
     async init() {
-        this.target = engine.currentScene.entities.values().next().value;
+        this.target = this.entity.scene.entities.values().next().value;
 
         /*
         const override = new Override(this.entity, this);
@@ -47,7 +54,7 @@ export default class EnemyShooter {
     update(deltaTime) {
         
         this.shootTimer += deltaTime;
-        if(this.shootTimer >= this.shootDelay) {
+        if(this.shootTimer >= this.shootDelay && this.canSeeTarget()) {
             this.shoot();
             this.shootTimer = 0;
         }
@@ -57,8 +64,9 @@ export default class EnemyShooter {
 
     async shoot() {
 
-        let entity = new Entity(this.entity.x, this.entity.y);
-        engine.currentScene.entities.add(entity);
+        const muzzle = this.getPointerCenter();
+        let entity = new Entity(muzzle.x, muzzle.y);
+        this.entity.scene.addEntity(entity);
 
         const projectile = await entity.attachScript('Projectile');
         if (!projectile) return;
@@ -68,35 +76,22 @@ export default class EnemyShooter {
     }
 
 
-    updateRotation() {
-        const deltaX = (this.target.x) - this.x;
-        const deltaY = (this.target.y) - this.y;
-    
-        const angleRadians = Math.atan2(deltaY, deltaX);
-
-        let angleDegrees = angleRadians * (180 / Math.PI);
-        
-
-        if (angleDegrees < 0) {
-            angleDegrees += 360;
-        }
+    canSeeTarget() {
+        // Hold fire while a wall is in the way
+        return !!this.target && this.entity.scene.hasLineOfSight(this.entity, this.target);
+    }
 
-        this.entity.rotation = angleDegrees;
+    updateRotation() {
+        this.entity.lookAt(this.target);
     }
 
     getPointerCenter() {
-        const relativeX = this.pointerBounds.offset.x + this.pointerBounds.offset.x + (this.pointerBounds.width / 2);
-        const relativeY = this.pointerBounds.offset.y + this.pointerBounds.offset.y + (this.pointerBounds.height / 2);
-        
-        const rotationRad = this.rotation * Math.PI / 180;
-        
-        const rotatedX = relativeX * Math.cos(rotationRad) - relativeY * Math.sin(rotationRad);
-        const rotatedY = relativeX * Math.sin(rotationRad) + relativeY * Math.cos(rotationRad);
+        const position = this.muzzle.getWorldPosition();
 
         return {
-            x: this.x + rotatedX,
-            y: this.y + rotatedY,
-            rotation: this.rotation
+            x: position.x,
+            y: position.y,
+            rotation: this.entity.rotation
         };
     }
 
@@ -1,7 +1,8 @@
 // scripts/ExampleScript.js
 export default class ExampleScript {
-    constructor(entity) {
+    constructor(entity, context) {
         this.entity = entity;
+        this.engine = context.engine; // Engine that owns the entity
     }
 
     async init() {
@@ -18,7 +19,7 @@ export default class ExampleScript {
 
     render() {
         // Develope a custom render method here
-        let ctx = window.mainCamera.ctx;
+        let ctx = this.engine.getMainCamera().ctx;
     }
 
     async onDetach() {
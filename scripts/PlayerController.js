@@ -1,4 +1,6 @@
 // scripts/PlayerController.js
+import { Player } from '../engine/index.js';
+
 export default class PlayerController {
     constructor(entity) {
         this.entity = entity;
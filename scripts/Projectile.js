@@ -1,4 +1,6 @@
 // scripts/Projectile.js
+import { Override } from '../engine/index.js';
+
 export default class Projectile {
     constructor(entity) {
         this.entity = entity;
@@ -18,12 +20,21 @@ export default class Projectile {
     init() {
         const override = new Override(this.entity, this);
         override.replace('render', this.render);
+
+        // Clean up stray shots
+        this.entity.destroyOutOfBounds = true;
+        this.entity.destroyAfter(5);
     }
 
     update(deltaTime) {
-        const radian = this.entity.rotation * (Math.PI / 180);
-        this.entity.x += Math.cos(radian) * this.speed * deltaTime;
-        this.entity.y += Math.sin(radian) * this.speed * deltaTime;
+        // Sweep the whole step so fast shots hit thin walls instead of skipping them
+        const hit = this.entity.moveAndCollide(
+            Math.cos(this.entity.rotation) * this.speed * deltaTime,
+            Math.sin(this.entity.rotation) * this.speed * deltaTime
+        );
+        if (hit) {
+            this.entity.destroy();
+        }
     }
 
     render(ctx) {
@@ -31,7 +42,7 @@ export default class Projectile {
         
         ctx.save();
         ctx.translate(this.entity.x, this.entity.y);
-        ctx.rotate(this.entity.rotation * Math.PI / 180);
+        ctx.rotate(this.entity.rotation);
         ctx.globalAlpha = this.entity.alpha;
         
         // Draw projectile
@@ -41,7 +52,7 @@ export default class Projectile {
         ctx.fill();
         
         // Debug: draw collision bounds if debug is enabled
-        if (window.engine?.debug?.enabled) {
+        if (this.entity.engine?.debug?.enabled) {
             ctx.strokeStyle = '#00ff00';
             ctx.lineWidth = 1;
             ctx.strokeRect(
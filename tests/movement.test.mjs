@@ -0,0 +1,101 @@
+/**
+ * Swept movement: moveAndCollide's stop, slide and bounce responses and velocity sweeps in scene updates
+ *
+ * Run with: node --test tests/
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine, Entity, Scene } from '../engine/index.js';
+
+/**
+ * A 200x200 headless scene with a 1px wall at x=100 and a floor at y=150
+ */
+async function createScene() {
+    const engine = new Engine({ headless: true });
+    const scene = new Scene();
+    engine.addScene('test', scene);
+    await engine.loadScene('test');
+
+    const data = new Uint8Array(200 * 200);
+    for (let y = 0; y < 200; y++) data[y * 200 + 100] = 1;
+    data.fill(1, 150 * 200, 151 * 200);
+    scene.collisionData = data;
+    scene.mapWidth = 200;
+    scene.mapHeight = 200;
+    scene.buildCollisionGrid();
+    return scene;
+}
+
+function addBox(scene, x, y, radius = 0) {
+    const entity = new Entity(x, y);
+    entity.solid = true;
+    entity.setCollisionBounds({ width: 10, height: 10, offset: { x: 0, y: 0 }, radius });
+    scene.addEntity(entity);
+    return entity;
+}
+
+test('stop halts at the wall', async () => {
+    const scene = await createScene();
+    const box = addBox(scene, 50, 50);
+
+    const hit = box.moveAndCollide(100, 0);
+    assert.ok(hit);
+    assert.deepEqual(hit.normal, { x: -1, y: 0 });
+    assert.ok(Math.abs(box.x - 90) < 0.01);
+    assert.equal(box.y, 50);
+});
+
+test('slide keeps the movement along the wall', async () => {
+    const scene = await createScene();
+    const box = addBox(scene, 50, 50);
+
+    box.moveAndCollide(100, 40, { response: 'slide' });
+    assert.ok(Math.abs(box.x - 90) < 0.01);
+    assert.ok(Math.abs(box.y - 90) < 0.01);
+});
+
+test('bounce reflects the movement and velocity', async () => {
+    const scene = await createScene();
+    const box = addBox(scene, 50, 50);
+    box.velocityX = 200;
+
+    box.moveAndCollide(60, 0, { response: 'bounce', restitution: 0.5 });
+    assert.ok(Math.abs(box.x - 80) < 0.01);
+    assert.equal(box.velocityX, -100);
+});
+
+test('velocity of solid entities is swept in scene updates', async () => {
+    const scene = await createScene();
+    const box = addBox(scene, 50, 50);
+    box.velocityX = 1000;
+    box.velocityY = 200;
+
+    scene.update(0.1);
+    assert.ok(Math.abs(box.x - 90) < 0.01);
+    assert.ok(Math.abs(box.y - 70) < 0.01);
+    assert.equal(box.velocityX, 0);
+    assert.equal(box.velocityY, 200);
+});
+
+test('sliding into a corner stops at both walls', async () => {
+    const scene = await createScene();
+    for (const radius of [0, 5]) {
+        const box = addBox(scene, 50, 100, radius);
+        box.velocityX = 1000;
+        box.velocityY = 1000;
+
+        scene.update(0.1);
+        assert.ok(Math.abs(box.x - 90) < 0.01, `radius ${radius}: x ${box.x}`);
+        assert.ok(Math.abs(box.y - 140) < 0.01, `radius ${radius}: y ${box.y}`);
+        box.destroy();
+    }
+});
+
+test('setting the position directly teleports past walls', async () => {
+    const scene = await createScene();
+    const box = addBox(scene, 50, 50);
+    box.update = function() { this.x = 150; };
+
+    scene.update(0.1);
+    assert.equal(box.x, 150);
+});